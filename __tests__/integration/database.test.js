@@ -0,0 +1,115 @@
+const { UniqueConstraintError } = require("sequelize");
+const sequelize = require("../../database/config");
+const { migrator, pendingMigrations } = require("../../database/migrator");
+const Person = require("../../database/models/Person");
+const ImportJob = require("../../database/models/ImportJob");
+const AuditLog = require("../../database/models/AuditLog");
+
+// Roda contra o banco configurado (SQLite em memória por padrão nos testes)
+describe("Teste de Integração - Banco de dados", () => {
+  beforeAll(async () => {
+    await migrator.up();
+  });
+
+  afterAll(async () => {
+    await migrator.down({ to: 0 });
+    await sequelize.close();
+  });
+
+  it("deve aplicar todas as migrations", async () => {
+    expect(await pendingMigrations()).toEqual([]);
+  });
+
+  it("deve gravar e ler pessoas pelo modelo Person", async () => {
+    await Person.bulkCreate([
+      {
+        name: "caio henrique rodrigues martins",
+        age: 19,
+        email: "268312@unifio.edu.br",
+      },
+      { name: "luis felipe viol", age: 21, email: "268359@unifio.edu.br" },
+    ]);
+
+    const people = await Person.findAll({ order: [["id", "ASC"]] });
+
+    expect(people.map((person) => person.toJSON())).toEqual([
+      {
+        id: 1,
+        name: "caio henrique rodrigues martins",
+        age: 19,
+        email: "268312@unifio.edu.br",
+        importBatchId: null,
+        sourceLine: null,
+      },
+      {
+        id: 2,
+        name: "luis felipe viol",
+        age: 21,
+        email: "268359@unifio.edu.br",
+        importBatchId: null,
+        sourceLine: null,
+      },
+    ]);
+  });
+
+  it("deve guardar as opções do job como JSON", async () => {
+    const job = await ImportJob.create({
+      fileName: "sample.csv",
+      options: { delimiter: ";", naturalKey: ["email"] },
+    });
+
+    const saved = await ImportJob.findByPk(job.id);
+
+    expect(saved.state).toBe("queued");
+    expect(saved.options).toEqual({ delimiter: ";", naturalKey: ["email"] });
+  });
+
+  it("deve desfazer a última migration com rollback", async () => {
+    await migrator.down();
+
+    expect(await pendingMigrations()).toEqual([
+      "20261019000006-create-import-profile.js",
+    ]);
+
+    await migrator.up();
+  });
+
+  it("deve unificar e-mails repetidos ao criar o índice único", async () => {
+    await migrator.down({ to: "20261019000005-unique-person-email.js" });
+    await Person.bulkCreate([
+      { name: "primeiro", age: 20, email: " Repetido@Unifio.edu.br" },
+      { name: "segundo", age: 21, email: "repetido@unifio.edu.br" },
+    ]);
+    // O setter do modelo já normaliza; simula dados gravados antes dele
+    await sequelize.query(
+      "UPDATE person SET email = ' Repetido@Unifio.edu.br' WHERE name = 'primeiro'"
+    );
+
+    await migrator.up();
+
+    const people = await Person.findAll({
+      where: { email: "repetido@unifio.edu.br" },
+    });
+    expect(people.map((person) => person.name)).toEqual(["primeiro"]);
+
+    const audit = await AuditLog.findOne({
+      where: { action: "person.merge-duplicate" },
+    });
+    expect(audit.details).toMatchObject({
+      keptId: people[0].id,
+      removed: { name: "segundo" },
+    });
+  });
+
+  it("deve recusar e-mails repetidos pelo índice único", async () => {
+    await Person.create({
+      name: "caixa diferente",
+      age: 22,
+      email: "Unico@Unifio.edu.br ",
+    });
+
+    await expect(
+      Person.create({ name: "outro", age: 23, email: "unico@unifio.edu.br" })
+    ).rejects.toThrow(UniqueConstraintError);
+  });
+});
@@ -0,0 +1,73 @@
+const request = require("supertest");
+const { app } = require("../../app");
+const sequelize = require("../../database/config");
+const { migrator } = require("../../database/migrator");
+const Person = require("../../database/models/Person");
+const { iteratePeople } = require("../../services/personExport");
+
+beforeAll(async () => {
+  await migrator.up();
+  await Person.bulkCreate([
+    {
+      name: "caio henrique rodrigues martins",
+      age: 19,
+      email: "268312@unifio.edu.br",
+    },
+    { name: "silva, luis", age: 21, email: "268359@unifio.edu.br" },
+    { name: "luis vinicius auersvald", age: 23, email: "luis@gmail.com" },
+  ]);
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe("Teste de Integração - Exportação de CSV", () => {
+  it("deve exportar todas as pessoas em CSV", async () => {
+    const response = await request(app).get("/api/csv/export");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toContain("text/csv");
+    expect(response.headers["content-disposition"]).toContain("pessoas.csv");
+    expect(response.text).toBe(
+      [
+        "id,name,age,email",
+        "1,caio henrique rodrigues martins,19,268312@unifio.edu.br",
+        '2,"silva, luis",21,268359@unifio.edu.br',
+        "3,luis vinicius auersvald,23,luis@gmail.com",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("deve exportar para o Excel com ponto e vírgula, BOM e filtros", async () => {
+    const response = await request(app).get(
+      "/api/csv/export?delimiter=;&bom=true&columns=name,email&emailDomain=unifio.edu.br"
+    );
+
+    expect(response.text).toBe(
+      "\ufeffname;email\n" +
+        "caio henrique rodrigues martins;268312@unifio.edu.br\n" +
+        "silva, luis;268359@unifio.edu.br\n"
+    );
+  });
+
+  it("deve recusar colunas desconhecidas", async () => {
+    const response = await request(app).get("/api/csv/export?columns=senha");
+
+    expect(response.status).toBe(400);
+  });
+
+  it("deve ler o banco em blocos", async () => {
+    const findAll = jest.spyOn(Person, "findAll");
+    const people = [];
+
+    for await (const person of iteratePeople({}, 2)) {
+      people.push(person.id);
+    }
+
+    expect(people).toEqual([1, 2, 3]);
+    expect(findAll).toHaveBeenCalledTimes(2);
+    findAll.mockRestore();
+  });
+});
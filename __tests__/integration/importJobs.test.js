@@ -0,0 +1,265 @@
+const request = require("supertest");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const importConfig = require("../../config/import");
+const uploadConfig = require("../../config/uploads");
+const { app, startServer } = require("../../app");
+const Person = require("../../database/models/Person");
+const ImportJob = require("../../database/models/ImportJob");
+const ImportBatch = require("../../database/models/ImportBatch");
+const { resumePendingJobs, waitForIdle } = require("../../services/importJobs");
+jest.mock("../../database/models/Person");
+const { pendingMigrations } = require("../../database/migrator");
+jest.mock("../../database/models/ImportJob");
+jest.mock("../../database/models/ImportBatch");
+jest.mock("../../database/migrator");
+
+// Simula as instâncias do Sequelize guardando os jobs em memória
+const jobs = new Map();
+
+// Ids no formato UUID da coluna, como os gerados pelo banco
+function jobId(number) {
+  return `00000000-0000-4000-8000-${String(number).padStart(12, "0")}`;
+}
+
+function fakeJob(values) {
+  const job = {
+    ...values,
+    update: jest.fn(async (changes) => Object.assign(job, changes)),
+    toJSON: () => {
+      const { update, toJSON, ...fields } = job;
+      return { ...fields };
+    },
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+let server;
+
+beforeAll(async () => {
+  pendingMigrations.mockResolvedValue([]); // Esquema em dia
+  Person.findAll.mockResolvedValue([]); // Nenhuma pessoa cadastrada
+  ImportJob.findAll.mockResolvedValue([]);
+  ImportBatch.create.mockResolvedValue({ id: "lote-1", update: jest.fn() });
+  server = await startServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  jobs.clear();
+  ImportJob.create.mockImplementation(async (values) =>
+    fakeJob({ id: jobId(jobs.size + 1), ...values })
+  );
+  ImportJob.findByPk.mockImplementation(async (id) => jobs.get(id) || null);
+  ImportJob.findAll.mockImplementation(async () => [...jobs.values()]);
+});
+
+describe("Teste de Integração - Jobs de importação", () => {
+  it("deve responder 202 e processar o arquivo em segundo plano", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValue([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("async", "true")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(202);
+    expect(response.body).toEqual({
+      code: "IMPORT_QUEUED",
+      message: "Importação enfileirada.",
+      jobId: jobId(1),
+      status: `/api/csv/jobs/${jobId(1)}`,
+    });
+
+    await waitForIdle();
+
+    const status = await request(server).get(response.body.status);
+
+    expect(status.status).toBe(200);
+    expect(status.body).toMatchObject({
+      id: jobId(1),
+      state: "completed",
+      fileName: "sample.csv",
+      rowsRead: 4,
+      inserted: 4,
+      rejected: 0,
+      errors: [],
+    });
+    expect(status.body.durationMs).toEqual(expect.any(Number));
+    expect(status.body.filePath).toBeUndefined();
+    expect(Person.bulkCreate).toHaveBeenCalledTimes(1);
+  });
+
+  it("deve registrar a falha do job quando o banco recusar um lote", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockRejectedValueOnce(new Error("conexão perdida"));
+
+    const response = await request(server)
+      .post("/api/csv/upload?async=true")
+      .attach("file", mockFilePath);
+
+    await waitForIdle();
+
+    const status = await request(server).get(response.body.status);
+
+    expect(status.body.state).toBe("failed");
+    expect(status.body.errors).toEqual([
+      {
+        code: "IMPORT_SAVE_FAILED",
+        params: {},
+        message: "Erro ao salvar os dados no banco de dados.",
+      },
+    ]);
+  });
+
+  it("deve verificar os limites do arquivo no job, e não no upload", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+    const { maxRows } = importConfig;
+
+    Person.bulkCreate.mockClear();
+    importConfig.maxRows = 2;
+
+    const response = await request(server)
+      .post("/api/csv/upload?async=true")
+      .attach("file", mockFilePath);
+    expect(response.status).toBe(202);
+
+    await waitForIdle();
+    importConfig.maxRows = maxRows;
+
+    const status = await request(server).get(response.body.status);
+    expect(status.body.state).toBe("failed");
+    expect(status.body.errors).toEqual([
+      {
+        code: "TOO_MANY_ROWS",
+        params: { limit: 2 },
+        message: "O arquivo passa do limite de 2 linhas.",
+      },
+    ]);
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it("deve mandar para a quarentena só os arquivos de jobs com erro do servidor", async () => {
+    const quarantineDir = fs.mkdtempSync(path.join(os.tmpdir(), "quarantine-"));
+    const { quarantine } = uploadConfig;
+    const quarantineDirBefore = uploadConfig.quarantineDir;
+    Object.assign(uploadConfig, { quarantine: true, quarantineDir });
+
+    try {
+      // Nenhuma linha válida (NO_VALID_ROWS, 400 no upload síncrono): apagado
+      await request(server)
+        .post("/api/csv/upload?async=true")
+        .attach("file", path.join(__dirname, "../mocks/invalid.csv"));
+      await waitForIdle();
+      expect(fs.readdirSync(quarantineDir)).toEqual([]);
+
+      // Falha do banco: vai para a quarentena
+      Person.bulkCreate.mockRejectedValueOnce(new Error("conexão perdida"));
+      const failed = await request(server)
+        .post("/api/csv/upload?async=true")
+        .attach("file", path.join(__dirname, "../mocks/sample.csv"));
+      await waitForIdle();
+
+      const job = jobs.get(failed.body.jobId);
+      expect(fs.readdirSync(quarantineDir)).toEqual([
+        path.basename(job.filePath),
+      ]);
+    } finally {
+      Object.assign(uploadConfig, {
+        quarantine,
+        quarantineDir: quarantineDirBefore,
+      });
+      fs.rmSync(quarantineDir, { recursive: true, force: true });
+    }
+  });
+
+  it("deve traduzir o erro do job para o idioma da consulta", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/invalid.csv");
+
+    const response = await request(server)
+      .post("/api/csv/upload?async=true")
+      .attach("file", mockFilePath);
+
+    await waitForIdle();
+
+    const status = await request(server).get(`${response.body.status}?lang=en`);
+
+    expect(status.body.state).toBe("failed");
+    expect(status.body.errors).toEqual([
+      {
+        code: "NO_VALID_ROWS",
+        params: {},
+        message: "No valid rows found in the CSV file.",
+      },
+    ]);
+  });
+
+  it("deve marcar como interrompidos os jobs que estavam rodando", async () => {
+    const job = fakeJob({
+      id: jobId(90),
+      state: "running",
+      filePath: null,
+    });
+
+    await resumePendingJobs();
+
+    expect(job.state).toBe("failed");
+    expect(job.errors).toEqual([{ code: "JOB_INTERRUPTED", params: {} }]);
+
+    const status = await request(server).get(`/api/csv/jobs/${jobId(90)}`);
+    expect(status.body.errors[0].message).toBe(
+      "Importação interrompida pelo reinício do servidor."
+    );
+  });
+
+  it("deve listar os jobs", async () => {
+    fakeJob({ id: jobId(91), state: "completed", report: null });
+
+    const response = await request(server).get("/api/csv/jobs?state=completed");
+
+    expect(response.status).toBe(200);
+    expect(response.body.jobs.map(({ id }) => id)).toEqual([jobId(91)]);
+    expect(ImportJob.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { state: "completed" } })
+    );
+  });
+
+  it("deve recusar paginação e estado inválidos na listagem de jobs", async () => {
+    const negative = await request(server).get("/api/csv/jobs?page=-5");
+    expect(negative.status).toBe(400);
+    expect(negative.body.code).toBe("INVALID_PAGINATION");
+
+    const state = await request(server).get("/api/csv/jobs?state=pausado");
+    expect(state.status).toBe(400);
+    expect(state.body.message).toBe(
+      "state deve ser um destes: queued, running, completed, failed."
+    );
+  });
+
+  it("deve retornar 404 para um job inexistente", async () => {
+    const response = await request(server).get(`/api/csv/jobs/${jobId(99)}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe("Job não encontrado.");
+  });
+
+  it("deve retornar 404 sem consultar o banco para um id fora do formato UUID", async () => {
+    ImportJob.findByPk.mockClear();
+
+    const response = await request(server).get("/api/csv/jobs/nao-existe");
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe("JOB_NOT_FOUND");
+    expect(ImportJob.findByPk).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,246 @@
+const request = require("supertest");
+const path = require("path");
+const { app } = require("../../app");
+const sequelize = require("../../database/config");
+const { migrator } = require("../../database/migrator");
+const Person = require("../../database/models/Person");
+const AuditLog = require("../../database/models/AuditLog");
+
+// Upload de ponta a ponta contra o banco de testes (SQLite em memória)
+beforeAll(async () => {
+  await migrator.up();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe("Teste de Integração - Procedência das importações", () => {
+  it("deve registrar o lote e a linha de origem de cada pessoa", async () => {
+    const filePath = path.join(__dirname, "../mocks/mixed.csv");
+
+    const upload = await request(app)
+      .post("/api/csv/upload")
+      .field("uploader", "secretaria")
+      .attach("file", filePath);
+
+    expect(upload.status).toBe(201);
+    const { importBatchId } = upload.body;
+
+    const list = await request(app).get("/api/csv/imports");
+    expect(list.body.imports).toHaveLength(1);
+    expect(list.body.imports[0]).toMatchObject({
+      id: importBatchId,
+      state: "completed",
+      originalFilename: "mixed.csv",
+      uploader: "secretaria",
+      sha256: upload.body.sha256,
+      rowsRead: 5,
+      inserted: 1,
+      rejected: 4,
+    });
+    expect(list.body.imports[0].finishedAt).not.toBeNull();
+
+    const rows = await request(app).get(
+      `/api/csv/imports/${importBatchId}/rows`
+    );
+    expect(rows.body.total).toBe(1);
+    expect(rows.body.data[0]).toMatchObject({
+      name: "caio henrique rodrigues martins",
+      age: 19,
+      importBatchId,
+      sourceLine: 2,
+    });
+  });
+
+  it("deve paginar a listagem de importações", async () => {
+    const page = await request(app).get("/api/csv/imports?page=2&pageSize=1");
+    expect(page.status).toBe(200);
+    expect(page.body).toMatchObject({ imports: [], page: 2, pageSize: 1 });
+
+    const negative = await request(app).get("/api/csv/imports?pageSize=-1");
+    expect(negative.status).toBe(400);
+    expect(negative.body.code).toBe("INVALID_PAGINATION");
+  });
+
+  it("deve retornar 404 para uma importação inexistente", async () => {
+    const response = await request(app).get(
+      "/api/csv/imports/00000000-0000-0000-0000-000000000000/rows"
+    );
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe("Importação não encontrada.");
+
+    const malformed = await request(app).post("/api/csv/imports/abc/rollback");
+    expect(malformed.status).toBe(404);
+    expect(malformed.body.code).toBe("IMPORT_NOT_FOUND");
+  });
+
+  it("deve desfazer uma importação removendo e restaurando pessoas", async () => {
+    await request(app)
+      .post("/api/csv/upload")
+      .field("mode", "skip-existing")
+      .attach("file", path.join(__dirname, "../mocks/sample.csv"));
+
+    const upsert = await request(app)
+      .post("/api/csv/upload")
+      .field("mode", "upsert")
+      .attach("file", path.join(__dirname, "../mocks/sample-update.csv"));
+
+    expect(upsert.status).toBe(201);
+    expect(upsert.body.counts).toMatchObject({ inserted: 1, updated: 1 });
+
+    const rollback = await request(app)
+      .post(`/api/csv/imports/${upsert.body.importBatchId}/rollback`)
+      .set("X-Performed-By", "secretaria");
+
+    expect(rollback.status).toBe(200);
+    expect(rollback.body).toMatchObject({ deleted: 1, restored: 1 });
+
+    const caio = await Person.findOne({
+      where: { email: "268312@unifio.edu.br" },
+    });
+    expect(caio.age).toBe(19);
+    expect(
+      await Person.count({ where: { email: "270001@unifio.edu.br" } })
+    ).toBe(0);
+
+    const audit = await AuditLog.findByPk(rollback.body.auditId);
+    expect(audit).toMatchObject({
+      action: "import.rollback",
+      entityId: upsert.body.importBatchId,
+      performedBy: "secretaria",
+    });
+
+    const batch = await request(app).get(
+      `/api/csv/imports/${upsert.body.importBatchId}`
+    );
+    expect(batch.body.rolledBackAt).not.toBeNull();
+  });
+
+  it("deve recusar desfazer a mesma importação duas vezes", async () => {
+    const upload = await request(app)
+      .post("/api/csv/upload")
+      .field("mode", "skip-existing")
+      .attach("file", path.join(__dirname, "../mocks/sample-update.csv"));
+
+    const first = await request(app).delete(
+      `/api/csv/imports/${upload.body.importBatchId}`
+    );
+    const second = await request(app).delete(
+      `/api/csv/imports/${upload.body.importBatchId}`
+    );
+
+    expect(first.status).toBe(200);
+    expect(first.body.deleted).toBe(1);
+    expect(second.status).toBe(409);
+  });
+
+  it("deve recusar o reenvio de um arquivo já importado", async () => {
+    const filePath = path.join(__dirname, "../mocks/sample.csv");
+
+    const response = await request(app)
+      .post("/api/csv/upload")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(409);
+    expect(response.body.details.import).toMatch(/^\/api\/csv\/imports\//);
+
+    const previous = await request(app).get(response.body.details.import);
+    expect(previous.body.originalFilename).toBe("sample.csv");
+  });
+
+  it("deve rejeitar por linha os emails já cadastrados no modo insert-only", async () => {
+    // O terceiro email já foi importado pelos testes anteriores
+    const csv = Buffer.from(
+      "name,age,email\n" +
+        "ana souza,20,ana@unifio.edu.br\n" +
+        "bia lima,21,bia@unifio.edu.br\n" +
+        "caio martins,22,268312@unifio.edu.br\n" +
+        "davi rocha,23,davi@unifio.edu.br\n"
+    );
+    const upload = () =>
+      request(app)
+        .post("/api/csv/upload")
+        .field("batchSize", "2")
+        .attach("file", csv, "insert-only.csv");
+
+    const preview = await upload().field("dryRun", "true");
+    const response = await upload();
+
+    for (const { body } of [preview, response]) {
+      expect(body.counts).toMatchObject({ inserted: 3, rejected: 1 });
+      expect(body.rejected[0]).toMatchObject({
+        line: 4,
+        reason: "ALREADY_EXISTS",
+        field: "email",
+      });
+    }
+    expect(preview.status).toBe(200);
+    expect(response.status).toBe(201);
+    expect(await Person.count({ where: { email: "davi@unifio.edu.br" } })).toBe(
+      1
+    );
+  });
+
+  it("deve rejeitar por linha os emails de outra pessoa nos modos com chave natural", async () => {
+    const csv = Buffer.from(
+      "name,age,email\n" +
+        "pessoa nova,30,268359@unifio.edu.br\n" +
+        "outra pessoa,31,outra@unifio.edu.br\n"
+    );
+
+    const response = await request(app)
+      .post("/api/csv/upload")
+      .field("mode", "skip-existing")
+      .field("naturalKey", "name")
+      .attach("file", csv, "chave-nome.csv");
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({ inserted: 1, rejected: 1 });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 2,
+      reason: "ALREADY_EXISTS",
+      field: "email",
+    });
+  });
+
+  it("deve encontrar a pessoa pelo email normalizado mesmo sem o passo coerce", async () => {
+    const csv = Buffer.from(
+      "name,age,email\ncaio martins,25,268312@UNIFIO.edu.br\n"
+    );
+
+    const response = await request(app)
+      .post("/api/csv/upload")
+      .field("mode", "upsert")
+      .field("steps", "normalize,dedupe")
+      .attach("file", csv, "sem-coerce.csv");
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({ inserted: 0, updated: 1 });
+    const caio = await Person.findOne({
+      where: { email: "268312@unifio.edu.br" },
+    });
+    expect(caio).toMatchObject({ name: "caio martins", age: 25 });
+  });
+
+  it("deve aceitar o reenvio de um arquivo sem nenhuma linha válida", async () => {
+    const filePath = path.join(__dirname, "../mocks/invalid.csv");
+
+    const first = await request(app)
+      .post("/api/csv/upload")
+      .attach("file", filePath);
+    const second = await request(app)
+      .post("/api/csv/upload")
+      .attach("file", filePath);
+
+    expect(first.status).toBe(400);
+    expect(second.status).toBe(400);
+    expect(second.body.code).toBe("NO_VALID_ROWS");
+
+    const batch = await request(app).get(
+      `/api/csv/imports/${first.body.details.importBatchId}`
+    );
+    expect(batch.body).toMatchObject({ state: "failed", inserted: 0 });
+  });
+});
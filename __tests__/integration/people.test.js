@@ -0,0 +1,439 @@
+const request = require("supertest");
+const importConfig = require("../../config/import");
+const { app } = require("../../app");
+const sequelize = require("../../database/config");
+const { migrator } = require("../../database/migrator");
+const Person = require("../../database/models/Person");
+
+// Usa o banco de testes de verdade (SQLite em memória)
+beforeAll(async () => {
+  await migrator.up();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+beforeEach(async () => {
+  await Person.destroy({ where: {} });
+  await Person.bulkCreate([
+    {
+      name: "caio henrique rodrigues martins",
+      age: 19,
+      email: "268312@unifio.edu.br",
+    },
+    { name: "luis felipe viol", age: 21, email: "268359@unifio.edu.br" },
+    { name: "luis vinicius auersvald", age: 23, email: "luis@gmail.com" },
+  ]);
+});
+
+describe("Teste de Integração - API de pessoas", () => {
+  it("deve listar pessoas com filtros, ordenação e paginação", async () => {
+    const response = await request(app).get(
+      "/api/people?name=luis&minAge=20&sort=-age&pageSize=1"
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      page: 1,
+      pageSize: 1,
+      total: 2,
+      totalPages: 2,
+    });
+    expect(response.body.data.map(({ name }) => name)).toEqual([
+      "luis vinicius auersvald",
+    ]);
+  });
+
+  it("deve filtrar pelo domínio do email", async () => {
+    const response = await request(app).get(
+      "/api/people?emailDomain=unifio.edu.br&maxAge=20"
+    );
+
+    expect(response.body.data.map(({ age }) => age)).toEqual([19]);
+  });
+
+  it("deve recusar parâmetros de consulta inválidos", async () => {
+    const response = await request(app).get("/api/people?sort=senha");
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain("Não é possível ordenar por senha");
+  });
+
+  it("deve cadastrar, consultar, atualizar e remover uma pessoa", async () => {
+    const created = await request(app)
+      .post("/api/people")
+      .send({
+        name: "tiago almeida gomes",
+        age: 21,
+        email: "267699@unifio.edu.br",
+      });
+
+    expect(created.status).toBe(201);
+    const url = `/api/people/${created.body.id}`;
+
+    const patched = await request(app).patch(url).send({ age: 22 });
+    expect(patched.body).toMatchObject({
+      name: "tiago almeida gomes",
+      age: 22,
+    });
+
+    const incompletePut = await request(app).put(url).send({ age: 23 });
+    expect(incompletePut.status).toBe(400);
+    expect(incompletePut.body.details.map(({ field }) => field)).toEqual([
+      "name",
+      "email",
+    ]);
+
+    const fetched = await request(app).get(url);
+    expect(fetched.body.age).toBe(22);
+
+    const removed = await request(app).delete(url);
+    expect(removed.status).toBe(204);
+
+    const missing = await request(app).get(url);
+    expect(missing.status).toBe(404);
+    expect(missing.body).toMatchObject({
+      code: "PERSON_NOT_FOUND",
+      message: "Pessoa não encontrada.",
+    });
+  });
+
+  it("deve responder 404 sem consultar o banco para um id que não é inteiro", async () => {
+    const findByPk = jest.spyOn(Person, "findByPk");
+
+    for (const id of ["abc", "1.5", "-1", "99999999999"]) {
+      const response = await request(app).get(`/api/people/${id}`);
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe("PERSON_NOT_FOUND");
+    }
+
+    expect(findByPk).not.toHaveBeenCalled();
+    findByPk.mockRestore();
+  });
+
+  it("deve aplicar os validadores do modelo", async () => {
+    const response = await request(app)
+      .post("/api/people")
+      .send({ name: "sem email", age: 30, email: "nao-e-email" });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      code: "VALIDATION_ERROR",
+      message: "Dados inválidos.",
+      details: [
+        {
+          field: "email",
+          reason: "INVALID_EMAIL",
+          message: "E-mail inválido.",
+        },
+      ],
+      requestId: expect.any(String),
+    });
+  });
+
+  it("deve responder 404 no formato padrão para rotas inexistentes", async () => {
+    const response = await request(app)
+      .get("/api/pessoas")
+      .set("X-Request-Id", "req-123");
+
+    expect(response.status).toBe(404);
+    expect(response.headers["x-request-id"]).toBe("req-123");
+    expect(response.body).toEqual({
+      code: "ROUTE_NOT_FOUND",
+      message: "Rota não encontrada: GET /api/pessoas",
+      details: null,
+      requestId: "req-123",
+    });
+  });
+
+  it("deve recusar um corpo JSON malformado", async () => {
+    const response = await request(app)
+      .post("/api/people")
+      .set("Content-Type", "application/json")
+      .send("{");
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("INVALID_JSON");
+  });
+
+  it("deve responder em inglês conforme o Accept-Language ou o parâmetro lang", async () => {
+    const byHeader = await request(app)
+      .get("/api/people/999999")
+      .set("Accept-Language", "en-US,en;q=0.9,pt;q=0.8");
+
+    expect(byHeader.headers["content-language"]).toBe("en");
+    expect(byHeader.body).toMatchObject({
+      code: "PERSON_NOT_FOUND",
+      message: "Person not found.",
+    });
+
+    const byQuery = await request(app)
+      .post("/api/people?lang=en")
+      .set("Accept-Language", "pt-BR")
+      .send({ name: "sem email", age: 30, email: "nao-e-email" });
+
+    expect(byQuery.body.message).toBe("Invalid data.");
+    expect(byQuery.body.details[0].message).toBe("Invalid email address.");
+  });
+
+  it("deve recusar uma idade fora da faixa permitida", async () => {
+    const response = await request(app)
+      .post("/api/people")
+      .send({ name: "idade alta", age: 300, email: "idade@unifio.edu.br" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      {
+        field: "age",
+        reason: "AGE_OUT_OF_RANGE",
+        min: 0,
+        max: 130,
+        message: "A idade deve estar entre 0 e 130.",
+      },
+    ]);
+  });
+
+  it("deve normalizar o email e recusar um email já cadastrado", async () => {
+    const first = await request(app)
+      .post("/api/people")
+      .send({ name: "maiusculas", age: 25, email: " Mesmo@Unifio.edu.br " });
+
+    expect(first.status).toBe(201);
+    expect(first.body.email).toBe("mesmo@unifio.edu.br");
+
+    const second = await request(app)
+      .post("/api/people")
+      .send({ name: "outra pessoa", age: 26, email: "MESMO@unifio.edu.br" });
+
+    expect(second.status).toBe(409);
+    expect(second.body).toMatchObject({
+      code: "DUPLICATE_VALUE",
+      details: [{ field: "email", reason: "ALREADY_EXISTS" }],
+    });
+  });
+
+  it("deve importar um array JSON com o relatório do upload de CSV", async () => {
+    const response = await request(app)
+      .post("/api/people/bulk")
+      .send([
+        { nome: "bruna costa", idade: 22, email: " Bruna@Unifio.edu.br" },
+        { nome: "bruna repetida", idade: 23, email: "bruna@unifio.edu.br" },
+        "não é um objeto",
+        { nome: "sem idade", email: "semidade@unifio.edu.br" },
+      ]);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      code: "IMPORT_COMPLETED",
+      format: "json",
+      mapping: { name: "nome", age: "idade", email: "email" },
+      counts: { read: 4, inserted: 1, rejected: 3, duplicates: 1 },
+    });
+    expect(
+      response.body.rejected.map(({ line, reason }) => [line, reason])
+    ).toEqual([
+      [2, "DUPLICATE_IN_FILE"],
+      [3, "MALFORMED_ROW"],
+      [4, "MISSING_FIELD"],
+    ]);
+    expect(response.body.rejected[1].message).toBe(
+      "O item não é um objeto JSON válido."
+    );
+
+    const download = await request(app).get(response.body.rejectedReport);
+    expect(download.status).toBe(200);
+
+    const bruna = await Person.findOne({
+      where: { email: "bruna@unifio.edu.br" },
+    });
+    expect(bruna).toMatchObject({ name: "bruna costa", age: 22 });
+  });
+
+  it("deve importar NDJSON em stream, linha a linha", async () => {
+    const ndjson = [
+      '{"name":"carla","age":"30","email":"carla@unifio.edu.br"}',
+      "",
+      "{quebrado",
+      '{"name":"davi","age":31,"email":"davi@unifio.edu.br"}',
+    ].join("\n");
+
+    const response = await request(app)
+      .post("/api/people/bulk?mode=skip-existing")
+      .set("Content-Type", "application/x-ndjson")
+      .send(ndjson);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      format: "ndjson",
+      counts: { read: 3, inserted: 2, rejected: 1 },
+    });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 3,
+      reason: "MALFORMED_ROW",
+    });
+
+    const batch = await request(app).get(
+      `/api/csv/imports/${response.body.importBatchId}/rows`
+    );
+    expect(batch.body.data.map(({ sourceLine }) => sourceLine)).toEqual([1, 4]);
+  });
+
+  it("deve mapear as colunas que só aparecem depois da primeira linha do NDJSON", async () => {
+    const ndjson = [
+      '{"nome":"elisa","email":"elisa@unifio.edu.br"}',
+      '{"nome":"fabio","idade":32,"email":"fabio@unifio.edu.br"}',
+      '{"nome":"gabi","idade":33,"email":"gabi@unifio.edu.br"}',
+    ].join("\n");
+
+    const response = await request(app)
+      .post("/api/people/bulk")
+      .set("Content-Type", "application/x-ndjson")
+      .send(ndjson);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      mapping: { name: "nome", age: "idade", email: "email" },
+      counts: { read: 3, inserted: 2, rejected: 1 },
+    });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 1,
+      reason: "MISSING_FIELD",
+      field: "age",
+    });
+  });
+
+  it("deve levar ao relatório de rejeitados as colunas que surgem no meio do NDJSON", async () => {
+    // Mais de 16 linhas antes da coluna nova: o leitor vai à frente do
+    // importador, e o relatório já existe quando "phone" aparece
+    const lines = ["{quebrado"];
+    for (let index = 2; index <= 40; index++) {
+      lines.push(
+        JSON.stringify({
+          name: `aluno ${index}`,
+          age: 20,
+          email: `a${index}@x.com`,
+        })
+      );
+    }
+    lines.push(
+      JSON.stringify({ name: "sem idade", email: "s@x.com", phone: "1199" })
+    );
+
+    const response = await request(app)
+      .post("/api/people/bulk")
+      .set("Content-Type", "application/x-ndjson")
+      .send(lines.join("\n"));
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({ inserted: 39, rejected: 2 });
+
+    const download = await request(app).get(response.body.rejectedReport);
+    const [header, ...rows] = download.text
+      .replace(/^\ufeff/, "")
+      .trim()
+      .split("\n");
+    expect(header).toBe("line,reason,name,age,email,phone");
+    expect(rows).toEqual([
+      "1,MALFORMED_ROW,,,,",
+      "41,MISSING_FIELD,sem idade,,s@x.com,1199",
+    ]);
+  });
+
+  it("deve recusar na linha os valores acima do limite de caracteres", async () => {
+    const response = await request(app)
+      .post("/api/people/bulk")
+      .send([
+        { name: "x".repeat(400), age: 20, email: "longo@unifio.edu.br" },
+        { name: "helena", age: 20, email: "helena@unifio.edu.br" },
+      ]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({ inserted: 1, rejected: 1 });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 1,
+      reason: "FIELD_TOO_LONG",
+      column: "name",
+      limit: 255,
+      message: 'A coluna "name" da linha 1 passa do limite de 255 caracteres.',
+    });
+  });
+
+  it("deve informar o que já foi gravado quando o NDJSON passa do limite de linhas", async () => {
+    const { maxRows } = importConfig;
+    const ndjson = ["igor", "joana", "kaio"]
+      .map((name, index) =>
+        JSON.stringify({
+          name,
+          age: 20 + index,
+          email: `${name}@unifio.edu.br`,
+        })
+      )
+      .join("\n");
+
+    importConfig.maxRows = 2;
+    const response = await request(app)
+      .post("/api/people/bulk?batchSize=1")
+      .set("Content-Type", "application/x-ndjson")
+      .send(ndjson);
+    importConfig.maxRows = maxRows;
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe("TOO_MANY_ROWS");
+    expect(response.body.details).toMatchObject({
+      limit: 2,
+      report: { counts: { read: 2, inserted: 2 } },
+    });
+    expect(
+      await Person.count({ where: { email: "joana@unifio.edu.br" } })
+    ).toBe(1);
+
+    const batch = await request(app).get(
+      `/api/csv/imports/${response.body.details.report.importBatchId}`
+    );
+    expect(batch.body.state).toBe("failed");
+  });
+
+  it("deve recusar com 413 uma linha de NDJSON acima do limite de bytes", async () => {
+    const { maxNdjsonLineBytes } = importConfig;
+
+    importConfig.maxNdjsonLineBytes = 100;
+    const response = await request(app)
+      .post("/api/people/bulk")
+      .set("Content-Type", "application/x-ndjson")
+      .send(`{"name":"${"x".repeat(5000)}"`);
+    importConfig.maxNdjsonLineBytes = maxNdjsonLineBytes;
+
+    expect(response.status).toBe(413);
+    expect(response.body).toMatchObject({
+      code: "BODY_TOO_LARGE",
+      details: { limit: 100 },
+    });
+  });
+
+  it("deve simular a importação em massa e recusar corpos inválidos", async () => {
+    const dryRun = await request(app)
+      .post("/api/people/bulk?dryRun=true")
+      .send([{ name: "simulada", age: 40, email: "simulada@unifio.edu.br" }]);
+
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body).toMatchObject({ dryRun: true, importBatchId: null });
+    expect(
+      await Person.count({ where: { email: "simulada@unifio.edu.br" } })
+    ).toBe(0);
+
+    const object = await request(app)
+      .post("/api/people/bulk")
+      .send({ name: "objeto solto", age: 40, email: "solto@unifio.edu.br" });
+
+    expect(object.status).toBe(400);
+    expect(object.body.code).toBe("INVALID_BULK_BODY");
+
+    const noValidRows = await request(app)
+      .post("/api/people/bulk")
+      .send([{ name: "sem email", age: 40 }]);
+
+    expect(noValidRows.status).toBe(400);
+    expect(noValidRows.body.code).toBe("NO_VALID_ROWS");
+  });
+});
@@ -0,0 +1,159 @@
+const request = require("supertest");
+const path = require("path");
+const { app } = require("../../app");
+const sequelize = require("../../database/config");
+const { migrator } = require("../../database/migrator");
+
+// Perfis de importação contra o banco de testes (SQLite em memória)
+beforeAll(async () => {
+  await migrator.up();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const filePath = path.join(__dirname, "../mocks/portuguese-headers.csv");
+
+describe("Teste de Integração - Perfis de importação", () => {
+  let profileId;
+
+  it("deve cadastrar um perfil com as opções normalizadas", async () => {
+    const response = await request(app)
+      .post("/api/csv/profiles")
+      .send({
+        name: "secretaria",
+        description: "Planilha mensal da secretaria",
+        options: {
+          delimiter: "semicolon",
+          mode: "upsert",
+          dedupKey: "name,email",
+          stepOptions: { validate: { age: { min: 20 } } },
+        },
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      name: "secretaria",
+      options: {
+        delimiter: ";",
+        mode: "upsert",
+        dedupKey: ["name", "email"],
+        stepOptions: { validate: { age: { min: 20 } } },
+      },
+    });
+    profileId = response.body.id;
+
+    const list = await request(app).get("/api/csv/profiles");
+    expect(list.body.profiles.map((profile) => profile.name)).toEqual([
+      "secretaria",
+    ]);
+  });
+
+  it("deve recusar opções inválidas e nomes repetidos", async () => {
+    const unknownOption = await request(app)
+      .post("/api/csv/profiles")
+      .send({ name: "simulacao", options: { dryRun: true } });
+    expect(unknownOption.status).toBe(400);
+    expect(unknownOption.body.code).toBe("INVALID_PROFILE_OPTIONS");
+
+    const invalidDelimiter = await request(app)
+      .post("/api/csv/profiles")
+      .send({ name: "dois-pontos", options: { delimiter: ":" } });
+    expect(invalidDelimiter.status).toBe(400);
+    expect(invalidDelimiter.body.code).toBe("INVALID_DELIMITER");
+
+    const repeated = await request(app)
+      .post("/api/csv/profiles")
+      .send({ name: "secretaria" });
+    expect(repeated.status).toBe(409);
+    expect(repeated.body.code).toBe("DUPLICATE_VALUE");
+  });
+
+  it("deve aplicar o perfil informado no upload", async () => {
+    const response = await request(app)
+      .post("/api/csv/upload")
+      .field("profile", "secretaria")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.dialect.delimiter).toBe(";");
+    expect(response.body.counts).toMatchObject({ inserted: 1, rejected: 1 });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 2,
+      reason: "AGE_OUT_OF_RANGE",
+      min: 20,
+    });
+
+    const batch = await request(app).get(
+      `/api/csv/imports/${response.body.importBatchId}`
+    );
+    expect(batch.body.options).toMatchObject({
+      profile: "secretaria",
+      mode: "upsert",
+    });
+  });
+
+  it("deve deixar os campos da requisição sobrescreverem o perfil", async () => {
+    const response = await request(app)
+      .post("/api/csv/upload")
+      .field("profile", String(profileId))
+      .field("dryRun", "true")
+      .field("stepOptions", JSON.stringify({ validate: { age: { min: 0 } } }))
+      .attach("file", filePath);
+
+    expect(response.status).toBe(200);
+    expect(response.body.counts).toMatchObject({
+      inserted: 1,
+      unchanged: 1,
+      rejected: 0,
+    });
+  });
+
+  it("deve recusar um perfil desconhecido no upload", async () => {
+    const response = await request(app)
+      .post("/api/csv/upload")
+      .field("profile", "financeiro")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      "Perfil de importação desconhecido: financeiro"
+    );
+  });
+
+  it("deve atualizar, substituir e remover um perfil", async () => {
+    const url = `/api/csv/profiles/${profileId}`;
+
+    const patched = await request(app)
+      .patch(url)
+      .send({ options: { mode: "skip-existing" } });
+    expect(patched.status).toBe(200);
+    expect(patched.body.options).toMatchObject({
+      delimiter: ";",
+      mode: "skip-existing",
+    });
+
+    const replaced = await request(app)
+      .put(url)
+      .send({ name: "secretaria", options: { encoding: "latin1" } });
+    expect(replaced.status).toBe(200);
+    expect(replaced.body).toMatchObject({
+      description: null,
+      options: { encoding: "latin1" },
+    });
+    expect(replaced.body.options.mode).toBeUndefined();
+
+    const missingName = await request(app).put(url).send({ options: {} });
+    expect(missingName.status).toBe(400);
+
+    expect((await request(app).delete(url)).status).toBe(204);
+    const removed = await request(app).get(url);
+    expect(removed.status).toBe(404);
+    expect(removed.body.code).toBe("PROFILE_NOT_FOUND");
+
+    const malformed = await request(app).get("/api/csv/profiles/abc");
+    expect(malformed.status).toBe(404);
+    expect(malformed.body.code).toBe("PROFILE_NOT_FOUND");
+  });
+});
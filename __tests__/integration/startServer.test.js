@@ -0,0 +1,37 @@
+const sequelize = require("../../database/config");
+const { pendingMigrations } = require("../../database/migrator");
+const { resumePendingJobs } = require("../../services/importJobs");
+const { startServer } = require("../../app");
+jest.mock("../../database/migrator");
+jest.mock("../../services/importJobs");
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe("Teste de Integração - Inicialização do servidor", () => {
+  it("não deve subir o servidor com migrations pendentes", async () => {
+    pendingMigrations.mockResolvedValue([
+      "20261019000006-create-import-profile.js",
+    ]);
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const { exitCode } = process;
+
+    try {
+      const server = await startServer();
+
+      expect(server).toBeUndefined();
+      expect(process.exitCode).toBe(1);
+      expect(consoleError).toHaveBeenCalledWith(
+        expect.stringContaining("npm run migrate"),
+        "20261019000006-create-import-profile.js"
+      );
+      expect(resumePendingJobs).not.toHaveBeenCalled();
+    } finally {
+      process.exitCode = exitCode;
+      consoleError.mockRestore();
+    }
+  });
+});
@@ -1,12 +1,35 @@
 const request = require("supertest");
+const fs = require("fs");
 const path = require("path");
+const ExcelJS = require("exceljs");
+const importConfig = require("../../config/import");
 const { app, startServer } = require("../../app");
 const Person = require("../../database/models/Person"); // Importe o modelo real
+const ImportJob = require("../../database/models/ImportJob");
+const ImportBatch = require("../../database/models/ImportBatch");
+const ImportChange = require("../../database/models/ImportChange");
 jest.mock("../../database/models/Person"); // Mock do modelo Person
+const { pendingMigrations } = require("../../database/migrator");
+jest.mock("../../database/models/ImportJob");
+jest.mock("../../database/models/ImportBatch");
+jest.mock("../../database/models/ImportChange");
+jest.mock("../../database/migrator");
 
 let server;
 
+// Registros gravados carregam o lote de importação e a linha de origem
+const comProcedencia = (records, firstLine = 2) =>
+  records.map((record, index) => ({
+    ...record,
+    importBatchId: "lote-1",
+    sourceLine: firstLine + index,
+  }));
+
 beforeAll(async () => {
+  pendingMigrations.mockResolvedValue([]); // Esquema em dia
+  Person.findAll.mockResolvedValue([]); // Nenhuma pessoa cadastrada
+  ImportJob.findAll.mockResolvedValue([]); // Nenhum job pendente na inicialização
+  ImportBatch.create.mockResolvedValue({ id: "lote-1", update: jest.fn() });
   server = await startServer(); // Inicia o servidor com a porta aleatória
 });
 
@@ -33,19 +56,21 @@ describe("Teste de Integração - Upload de CSV", () => {
     const registrosInseridos = [
       {
         name: "caio henrique rodrigues martins",
-        age: "19",
+        age: 19,
         email: "268312@unifio.edu.br",
       },
-      { name: "luis felipe viol", age: "21", email: "268359@unifio.edu.br" },
+      { name: "luis felipe viol", age: 21, email: "268359@unifio.edu.br" },
       {
         name: "luis vinicius auersvald",
-        age: "21",
+        age: 21,
         email: "268596@unifio.edu.br",
       },
-      { name: "tiago almeida gomes", age: "21", email: "267699@unifio.edu.br" },
+      { name: "tiago almeida gomes", age: 21, email: "267699@unifio.edu.br" },
     ];
 
-    expect(Person.bulkCreate).toHaveBeenCalledWith(registrosInseridos);
+    expect(Person.bulkCreate).toHaveBeenCalledWith(
+      comProcedencia(registrosInseridos)
+    );
   });
 
   it("deve retornar erro ao enviar um arquivo sem registros válidos", async () => {
@@ -59,7 +84,7 @@ describe("Teste de Integração - Upload de CSV", () => {
       .attach("file", invalidFilePath);
 
     expect(response.status).toBe(400);
-    expect(response.body.error).toBe(
+    expect(response.body.message).toBe(
       "Nenhum dado válido encontrado no arquivo CSV."
     );
     expect(Person.bulkCreate).not.toHaveBeenCalled(); // Verifica se bulkCreate não foi chamado
@@ -73,7 +98,608 @@ describe("Teste de Integração - Upload de CSV", () => {
       .post("/api/csv/upload");
 
     expect(response.status).toBe(400);
-    expect(response.body.error).toBe("Arquivo CSV é obrigatório!");
+    expect(response.body.message).toBe("Arquivo CSV é obrigatório!");
     expect(Person.bulkCreate).not.toHaveBeenCalled(); // Verifica se bulkCreate não foi chamado
   });
+
+  it("deve detectar ponto e vírgula e BOM em arquivos do Excel", async () => {
+    const excelFilePath = path.join(__dirname, "../mocks/semicolon-bom.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValueOnce([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", excelFilePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.dialect).toEqual({
+      delimiter: ";",
+      bom: true,
+      source: "detected",
+    });
+    expect(Person.bulkCreate).toHaveBeenCalledWith(
+      comProcedencia([
+        {
+          name: "caio henrique rodrigues martins",
+          age: 19,
+          email: "268312@unifio.edu.br",
+        },
+        { name: "luis felipe viol", age: 21, email: "268359@unifio.edu.br" },
+      ])
+    );
+  });
+
+  it("deve respeitar o delimitador informado no formulário", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockClear();
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("delimiter", ";")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.dialect.source).toBe("override");
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it("deve converter arquivos em Windows-1252 para UTF-8", async () => {
+    const latin1FilePath = path.join(__dirname, "../mocks/latin1.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValueOnce([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", latin1FilePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.encoding).toEqual({
+      name: "windows-1252",
+      source: "detected",
+    });
+    expect(Person.bulkCreate).toHaveBeenCalledWith(
+      comProcedencia([
+        { name: "João da Silva", age: 20, email: "joao@unifio.edu.br" },
+        {
+          name: "Maria da Conceição",
+          age: 22,
+          email: "maria@unifio.edu.br",
+        },
+      ])
+    );
+  });
+
+  it("deve recusar uma codificação desconhecida", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("encoding", "klingon")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("Codificação não suportada: klingon");
+  });
+
+  it("deve mapear cabeçalhos em português para os atributos", async () => {
+    const filePath = path.join(__dirname, "../mocks/portuguese-headers.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValueOnce([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.mapping).toEqual({
+      name: "Nome Completo",
+      age: "Idade",
+      email: "E-mail Institucional",
+    });
+    expect(response.body.unmappedColumns).toEqual(["Curso"]);
+    expect(Person.bulkCreate).toHaveBeenCalledWith(
+      comProcedencia([
+        {
+          name: "caio henrique rodrigues martins",
+          age: 19,
+          email: "268312@unifio.edu.br",
+        },
+        { name: "luis felipe viol", age: 21, email: "268359@unifio.edu.br" },
+      ])
+    );
+  });
+
+  it("deve aplicar o mapping enviado na requisição", async () => {
+    const filePath = path.join(__dirname, "../mocks/portuguese-headers.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValueOnce([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("mapping", JSON.stringify({ curso: "name" }))
+      .attach("file", filePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.mapping.name).toBe("Curso");
+    expect(Person.bulkCreate.mock.calls[0][0][0].name).toBe("ES");
+  });
+
+  it("deve relatar as linhas rejeitadas com linha e motivo", async () => {
+    const filePath = path.join(__dirname, "../mocks/mixed.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValueOnce([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toEqual({
+      read: 5,
+      accepted: 1,
+      inserted: 1,
+      updated: 0,
+      unchanged: 0,
+      rejected: 4,
+      duplicates: 1,
+      byReason: {
+        DUPLICATE_IN_FILE: 1,
+        INVALID_AGE: 1,
+        INVALID_EMAIL: 1,
+        MISSING_FIELD: 1,
+      },
+    });
+    expect(
+      response.body.rejected.map(({ line, reason }) => [line, reason])
+    ).toEqual([
+      [3, "DUPLICATE_IN_FILE"],
+      [4, "INVALID_AGE"],
+      [5, "INVALID_EMAIL"],
+      [6, "MISSING_FIELD"],
+    ]);
+    expect(response.body.rejected[1].row).toEqual({
+      name: "luis felipe viol",
+      age: "vinte",
+      email: "268359@unifio.edu.br",
+    });
+
+    const download = await request(server).get(response.body.rejectedReport);
+
+    expect(download.status).toBe(200);
+    expect(download.headers["content-disposition"]).toContain("attachment");
+    expect(download.text.split("\n")[0]).toBe("line,reason,name,age,email");
+    expect(download.text).toContain(
+      "4,INVALID_AGE,luis felipe viol,vinte,268359@unifio.edu.br"
+    );
+  });
+
+  it("deve contar as linhas do arquivo com campos de várias linhas", async () => {
+    const csv = Buffer.from(
+      "name,age,email\n" +
+        '"caio\nhenrique\nmartins",vinte,268312@unifio.edu.br\n' +
+        "luis felipe viol,21,268359@unifio.edu.br\n" +
+        "tiago almeida gomes,vinte e um,267699@unifio.edu.br\n"
+    );
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValueOnce([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", csv, "multilinha.csv");
+
+    expect(response.status).toBe(201);
+    expect(response.body.rejected.map(({ line }) => line)).toEqual([2, 6]);
+    expect(Person.bulkCreate.mock.calls[0][0][0].sourceLine).toBe(5);
+
+    const download = await request(server).get(response.body.rejectedReport);
+    expect(download.text).toContain("6,INVALID_AGE,tiago almeida gomes");
+  });
+
+  it("deve retornar 404 para um relatório inexistente", async () => {
+    const response = await request(server).get(
+      "/api/csv/rejections/nao-existe"
+    );
+
+    expect(response.status).toBe(404);
+  });
+
+  it("deve simular o upload sem gravar quando dryRun=true", async () => {
+    const filePath = path.join(__dirname, "../mocks/mixed.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.build.mockImplementation(() => ({
+      validate: jest.fn().mockResolvedValue(),
+    }));
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("dryRun", "true")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(200);
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.counts).toMatchObject({
+      accepted: 1,
+      inserted: 1,
+      rejected: 4,
+      duplicates: 1,
+    });
+    expect(Person.build).toHaveBeenCalledTimes(1);
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it("deve gravar em lotes do tamanho informado", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValue([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("batchSize", "3")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(201);
+    expect(Person.bulkCreate).toHaveBeenCalledTimes(2);
+    expect(Person.bulkCreate.mock.calls[1][0]).toEqual(
+      comProcedencia(
+        [
+          {
+            name: "tiago almeida gomes",
+            age: 21,
+            email: "267699@unifio.edu.br",
+          },
+        ],
+        5
+      )
+    );
+    expect(
+      response.body.batches.map(({ number, firstLine, lastLine, inserted }) => [
+        number,
+        firstLine,
+        lastLine,
+        inserted,
+      ])
+    ).toEqual([
+      [1, 2, 4, 3],
+      [2, 5, 5, 1],
+    ]);
+    expect(response.body.counts.inserted).toBe(4);
+  });
+
+  it("deve informar os lotes gravados quando um lote falhar", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(new Error("max_allowed_packet"));
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("batchSize", "2")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe(
+      "Erro ao salvar os dados no banco de dados."
+    );
+    expect(response.body.code).toBe("IMPORT_SAVE_FAILED");
+    expect(response.body.details.counts.inserted).toBe(2);
+    expect(response.body.details.batches).toHaveLength(1);
+  });
+
+  it("deve descartar o arquivo temporário mesmo quando a gravação falha", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+    const unlink = jest.spyOn(fs.promises, "unlink");
+
+    Person.bulkCreate.mockRejectedValueOnce(new Error("Database error"));
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(500);
+    expect(unlink).toHaveBeenCalledWith(expect.stringMatching(/^uploads[\\/]/));
+    unlink.mockRestore();
+  });
+
+  it("deve recusar um batchSize inválido", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("batchSize", "0")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(400);
+  });
+
+  it("deve atualizar pessoas existentes no modo upsert", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+    const existing = {
+      id: 1,
+      name: "caio henrique rodrigues martins",
+      age: 18,
+      email: "268312@unifio.edu.br",
+      update: jest.fn().mockResolvedValue(),
+    };
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValue([]);
+    Person.findAll.mockResolvedValueOnce([existing]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("mode", "upsert")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({
+      inserted: 3,
+      updated: 1,
+      unchanged: 0,
+    });
+    expect(existing.update).toHaveBeenCalledWith({ age: 19 });
+    // O valor anterior fica guardado para permitir desfazer a importação
+    expect(ImportChange.bulkCreate).toHaveBeenCalledWith([
+      {
+        importBatchId: "lote-1",
+        personId: 1,
+        sourceLine: 2,
+        previousValues: { age: 18 },
+        changedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  it("deve recusar um modo desconhecido", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("mode", "merge")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(400);
+  });
+
+  it("deve registrar o lote de importação com o hash do arquivo", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockResolvedValue([]);
+    ImportBatch.create.mockClear();
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .set("X-Uploaded-By", "secretaria")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.importBatchId).toBe("lote-1");
+    expect(response.body.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(ImportBatch.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        originalFilename: "sample.csv",
+        sha256: response.body.sha256,
+        uploader: "secretaria",
+      })
+    );
+  });
+
+  it("deve recusar um arquivo que já foi importado", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockClear();
+    ImportBatch.findOne.mockResolvedValueOnce({ id: "lote-anterior" });
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe("DUPLICATE_UPLOAD");
+    expect(response.body.details).toEqual({
+      importBatchId: "lote-anterior",
+      import: "/api/csv/imports/lote-anterior",
+    });
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it("deve importar novamente o mesmo arquivo com force=true", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    Person.bulkCreate.mockResolvedValue([]);
+    ImportBatch.findOne.mockClear();
+    ImportBatch.findOne.mockResolvedValue({ id: "lote-anterior" });
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("force", "true")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(201);
+    expect(ImportBatch.findOne).not.toHaveBeenCalled();
+    ImportBatch.findOne.mockReset();
+  });
+
+  it("deve tratar como repetidas linhas com o mesmo email normalizado", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/shared-email.csv");
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValue([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({ inserted: 1, duplicates: 1 });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 3,
+      reason: "DUPLICATE_IN_FILE",
+    });
+    expect(Person.bulkCreate).toHaveBeenCalledWith(
+      comProcedencia([
+        { name: "felps", age: 20, email: "naoseiemail@unifio.edu.br" },
+      ])
+    );
+  });
+
+  it("deve aceitar uma chave de deduplicação informada no formulário", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/shared-email.csv");
+
+    Person.bulkCreate.mockClear();
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("dedupKey", "name,email")
+      .attach("file", mockFilePath);
+
+    // O dedupe deixa passar o mesmo email com outro nome, mas o índice único
+    // do banco não: a segunda linha é recusada na gravação, sem falhar o lote
+    expect(response.status).toBe(201);
+    expect(response.body.counts).toMatchObject({ inserted: 1, duplicates: 1 });
+    expect(Person.bulkCreate).toHaveBeenCalledTimes(1);
+
+    const invalid = await request(server)
+      .post("/api/csv/upload")
+      .field("dedupKey", "telefone")
+      .attach("file", mockFilePath);
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe("INVALID_DEDUP_KEY");
+  });
+
+  it("deve recusar um passo desconhecido no pipeline de linhas", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("steps", "normalize,traduzir")
+      .attach("file", mockFilePath);
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("INVALID_ROW_STEPS");
+    expect(response.body.message).toBe(
+      "steps deve listar passos do pipeline: normalize, mapHeaders, coerce, validate, dedupe."
+    );
+  });
+
+  it("deve importar uma planilha .xlsx escolhendo a aba e o cabeçalho", async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet("Capa");
+    const sheet = workbook.addWorksheet("Alunos");
+    sheet.addRow(["Turma 2024"]);
+    sheet.addRow(["Nome", "Idade", "E-mail"]);
+    sheet.addRow([
+      "caio henrique rodrigues martins",
+      19,
+      "268312@unifio.edu.br",
+    ]);
+    sheet.addRow(["luis felipe viol", "vinte", "268359@unifio.edu.br"]);
+    const file = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    Person.bulkCreate.mockClear();
+    Person.bulkCreate.mockResolvedValue([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .field("sheet", "Alunos")
+      .field("headerRow", "2")
+      .attach("file", file, {
+        filename: "alunos.xlsx",
+        contentType:
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      format: "xlsx",
+      sheet: { name: "Alunos", index: 2, headerRow: 2 },
+      counts: { read: 2, inserted: 1, rejected: 1 },
+    });
+    expect(response.body.rejected[0]).toMatchObject({
+      line: 4,
+      reason: "INVALID_AGE",
+    });
+    expect(Person.bulkCreate).toHaveBeenCalledWith(
+      comProcedencia(
+        [
+          {
+            name: "caio henrique rodrigues martins",
+            age: 19,
+            email: "268312@unifio.edu.br",
+          },
+        ],
+        3
+      )
+    );
+
+    const missingSheet = await request(server)
+      .post("/api/csv/upload")
+      .field("sheet", "Professores")
+      .attach("file", file, { filename: "alunos.xlsx" });
+
+    expect(missingSheet.status).toBe(400);
+    expect(missingSheet.body.code).toBe("SHEET_NOT_FOUND");
+  });
+
+  it("deve recusar com 415 um arquivo de formato não suportado", async () => {
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", Buffer.from("conteúdo"), {
+        filename: "foto.png",
+        contentType: "image/png",
+      });
+
+    expect(response.status).toBe(415);
+    expect(response.body.code).toBe("UNSUPPORTED_FILE_TYPE");
+    expect(response.body.details.fileName).toBe("foto.png");
+  });
+
+  it("deve recusar com 422 um arquivo acima do limite de linhas", async () => {
+    const mockFilePath = path.join(__dirname, "../mocks/sample.csv");
+    const { maxRows } = importConfig;
+
+    Person.bulkCreate.mockClear();
+    importConfig.maxRows = 2;
+
+    const response = await request(server)
+      .post("/api/csv/upload")
+      .attach("file", mockFilePath);
+
+    importConfig.maxRows = maxRows;
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe("TOO_MANY_ROWS");
+    expect(response.body.details.limit).toBe(2);
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it("deve traduzir a resposta e os motivos de rejeição para inglês", async () => {
+    const filePath = path.join(__dirname, "../mocks/mixed.csv");
+
+    Person.bulkCreate.mockResolvedValue([]);
+
+    const response = await request(server)
+      .post("/api/csv/upload?lang=en")
+      .attach("file", filePath);
+
+    expect(response.status).toBe(201);
+    expect(response.body.code).toBe("IMPORT_COMPLETED");
+    expect(response.body.message).toBe("Data imported successfully.");
+    expect(response.body.rejected.map(({ message }) => message)).toEqual([
+      "Duplicate row in the file.",
+      "Invalid age: use a whole number.",
+      "Invalid email address.",
+      "The name field is required.",
+    ]);
+  });
 });
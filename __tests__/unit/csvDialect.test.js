@@ -0,0 +1,41 @@
+const {
+  detectCsvDialect,
+  detectDelimiter,
+  resolveDelimiter,
+} = require("../../utils/csvDialect");
+
+describe("Teste Unitário - Detecção de dialeto CSV", () => {
+  it("deve detectar ponto e vírgula de arquivos do Excel", () => {
+    const sample = "name;age;email\ncaio;19;268312@unifio.edu.br\n";
+
+    expect(detectCsvDialect(sample)).toEqual({
+      delimiter: ";",
+      detected: true,
+    });
+  });
+
+  it("deve detectar vírgula, tab e pipe", () => {
+    expect(detectDelimiter("name,age,email\ncaio,19,a@b.com")).toBe(",");
+    expect(detectDelimiter("name\tage\temail\ncaio\t19\ta@b.com")).toBe("\t");
+    expect(detectDelimiter("name|age|email\ncaio|19|a@b.com")).toBe("|");
+  });
+
+  it("deve ignorar delimitadores dentro de aspas", () => {
+    const sample = 'name;age;email\n"silva, caio";19;a@b.com';
+    expect(detectDelimiter(sample)).toBe(";");
+  });
+
+  it("deve usar vírgula quando não encontrar delimitador", () => {
+    expect(detectCsvDialect("name\ncaio")).toEqual({
+      delimiter: ",",
+      detected: false,
+    });
+  });
+
+  it("deve resolver o delimitador informado pelo cliente", () => {
+    expect(resolveDelimiter(";")).toBe(";");
+    expect(resolveDelimiter("tab")).toBe("\t");
+    expect(resolveDelimiter(undefined)).toBeNull();
+    expect(resolveDelimiter("#")).toBeUndefined();
+  });
+});
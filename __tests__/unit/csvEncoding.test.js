@@ -0,0 +1,44 @@
+const iconv = require("iconv-lite");
+const {
+  decodeSample,
+  detectEncoding,
+  resolveEncoding,
+} = require("../../utils/csvEncoding");
+
+describe("Teste Unitário - Detecção de codificação", () => {
+  it("deve reconhecer UTF-8 com e sem BOM", () => {
+    const text = "name,age,email\nJoão,19,joao@unifio.edu.br";
+
+    expect(detectEncoding(Buffer.from(text))).toEqual({
+      encoding: "utf-8",
+      bom: false,
+    });
+    expect(detectEncoding(Buffer.from("\ufeff" + text))).toEqual({
+      encoding: "utf-8",
+      bom: true,
+    });
+  });
+
+  it("deve reconhecer UTF-16 pelo BOM", () => {
+    const buffer = Buffer.from([0xff, 0xfe, 0x6e, 0x00]);
+    expect(detectEncoding(buffer)).toEqual({
+      encoding: "utf-16le",
+      bom: true,
+    });
+  });
+
+  it("deve tratar bytes inválidos em UTF-8 como Windows-1252", () => {
+    const buffer = iconv.encode("name\nConceição", "windows-1252");
+
+    const { encoding } = detectEncoding(buffer);
+
+    expect(encoding).toBe("windows-1252");
+    expect(decodeSample(buffer, encoding)).toBe("name\nConceição");
+  });
+
+  it("deve validar a codificação informada pelo cliente", () => {
+    expect(resolveEncoding("ISO-8859-1")).toBe("iso-8859-1");
+    expect(resolveEncoding("")).toBeNull();
+    expect(resolveEncoding("klingon")).toBeUndefined();
+  });
+});
@@ -0,0 +1,79 @@
+const { ConnectionError } = require("sequelize");
+const { errorHandler } = require("../../middleware/errorHandler");
+const { ConflictError, PayloadError } = require("../../utils/errors");
+
+// Resposta mínima do Express, suficiente para o middleware de erros
+function createResponse({ headersSent = false } = {}) {
+  const res = { headersSent };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.destroy = jest.fn();
+  return res;
+}
+
+const req = { id: "req-1" };
+
+describe("Teste Unitário - Middleware de erros", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it("deve usar o status e o código do erro da aplicação", () => {
+    const res = createResponse();
+
+    errorHandler(new ConflictError("DUPLICATE_UPLOAD"), req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      code: "DUPLICATE_UPLOAD",
+      message:
+        "Este arquivo já foi importado. Envie force=true para importá-lo novamente.",
+      details: null,
+      requestId: "req-1",
+    });
+  });
+
+  it("deve responder com o status do erro de payload", () => {
+    const res = createResponse();
+
+    errorHandler(new PayloadError(413, "BODY_TOO_LARGE"), req, res);
+
+    expect(res.status).toHaveBeenCalledWith(413);
+    expect(res.json.mock.calls[0][0].code).toBe("BODY_TOO_LARGE");
+  });
+
+  it("deve tratar falhas do Sequelize como erro de banco", () => {
+    const res = createResponse();
+
+    errorHandler(new ConnectionError(new Error("ECONNREFUSED")), req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].code).toBe("DATABASE_ERROR");
+  });
+
+  it("não deve expor a mensagem de erros inesperados", () => {
+    const res = createResponse();
+
+    errorHandler(new TypeError("x is undefined"), req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      code: "INTERNAL_ERROR",
+      message: "Erro interno do servidor.",
+    });
+  });
+
+  it("deve interromper a resposta quando os cabeçalhos já foram enviados", () => {
+    const res = createResponse({ headersSent: true });
+    const error = new Error("stream quebrado");
+
+    errorHandler(error, req, res);
+
+    expect(res.destroy).toHaveBeenCalledWith(error);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+});
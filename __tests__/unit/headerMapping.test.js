@@ -0,0 +1,60 @@
+const {
+  applyHeaderMapping,
+  normalizeHeader,
+  parseMapping,
+  resolveHeaderMapping,
+} = require("../../utils/headerMapping");
+
+describe("Teste Unitário - Mapeamento de cabeçalhos", () => {
+  it("deve normalizar caixa, acentos e pontuação", () => {
+    expect(normalizeHeader(" E-mail Institucional ")).toBe(
+      "email institucional"
+    );
+    expect(normalizeHeader("NÓME")).toBe("nome");
+  });
+
+  it("deve mapear cabeçalhos em português pela tabela de apelidos", () => {
+    const result = resolveHeaderMapping(["Nome", "Idade", "E-mail", "Curso"]);
+
+    expect(result).toEqual({
+      fields: { name: "Nome", age: "Idade", email: "E-mail" },
+      unmapped: ["Curso"],
+    });
+  });
+
+  it("deve priorizar o mapping informado na requisição", () => {
+    const result = resolveHeaderMapping(
+      ["email", "Email Institucional", "aluno", "idade"],
+      { mapping: { "email institucional": "email" } }
+    );
+
+    expect(result.fields).toEqual({
+      email: "Email Institucional",
+      name: "aluno",
+      age: "idade",
+    });
+    expect(result.unmapped).toEqual(["email"]);
+  });
+
+  it("deve montar a linha com os atributos do modelo", () => {
+    const row = { Nome: "caio", Idade: "19", "E-mail": "a@b.com" };
+    const fields = { name: "Nome", age: "Idade", email: "E-mail" };
+
+    expect(applyHeaderMapping(row, fields)).toEqual({
+      name: "caio",
+      age: "19",
+      email: "a@b.com",
+    });
+  });
+
+  it("deve rejeitar mappings inválidos", () => {
+    expect(parseMapping(undefined)).toBeNull();
+    expect(parseMapping('{"Nome Completo":"name"}')).toEqual({
+      "Nome Completo": "name",
+    });
+    expect(() => parseMapping("{")).toThrow("JSON válido");
+    expect(() => parseMapping('{"CPF":"cpf"}')).toThrow(
+      "Atributo desconhecido no mapping: cpf"
+    );
+  });
+});
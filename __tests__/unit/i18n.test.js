@@ -0,0 +1,32 @@
+const { resolveLanguage, translate } = require("../../i18n");
+const ptBR = require("../../i18n/pt-BR");
+const en = require("../../i18n/en");
+
+describe("Teste Unitário - Mensagens da API", () => {
+  it("deve resolver o idioma pedido para um dos catálogos", () => {
+    expect(resolveLanguage("en")).toBe("en");
+    expect(resolveLanguage("en-US")).toBe("en");
+    expect(resolveLanguage("pt")).toBe("pt-BR");
+    expect(resolveLanguage("PT-br")).toBe("pt-BR");
+    expect(resolveLanguage("fr")).toBeNull();
+    expect(resolveLanguage(undefined)).toBeNull();
+  });
+
+  it("deve preencher os parâmetros da mensagem", () => {
+    expect(translate("en", "TOO_MANY_ROWS", { limit: 10 })).toBe(
+      "The file exceeds the 10 row limit."
+    );
+    expect(
+      translate("pt-BR", "UNSUPPORTED_ENCODING", { encoding: "klingon" })
+    ).toBe("Codificação não suportada: klingon");
+  });
+
+  it("deve usar o idioma padrão e depois o próprio código sem tradução", () => {
+    expect(translate("fr", "PERSON_NOT_FOUND")).toBe("Pessoa não encontrada.");
+    expect(translate("en", "CODIGO_NOVO")).toBe("CODIGO_NOVO");
+  });
+
+  it("deve ter os mesmos códigos nos dois catálogos", () => {
+    expect(Object.keys(en).sort()).toEqual(Object.keys(ptBR).sort());
+  });
+});
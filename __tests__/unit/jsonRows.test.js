@@ -0,0 +1,111 @@
+const { Readable } = require("stream");
+const {
+  createJsonArrayParser,
+  createNdjsonParser,
+  jsonValueToString,
+} = require("../../utils/jsonRows");
+const { ROW_REJECTION, SOURCE_LINE } = require("../../utils/rowSource");
+
+// Lê o parser até o fim, guardando os cabeçalhos emitidos
+const readAll = async (parser) => {
+  let headers;
+  parser.on("headers", (emitted) => (headers = emitted));
+
+  const rows = [];
+  for await (const row of parser) {
+    rows.push(row);
+  }
+
+  return { headers, rows };
+};
+
+describe("Teste Unitário - Leitura de JSON e NDJSON", () => {
+  it("deve converter valores JSON para texto", () => {
+    expect(jsonValueToString(19)).toBe("19");
+    expect(jsonValueToString(null)).toBe("");
+    expect(jsonValueToString(false)).toBe("false");
+    expect(jsonValueToString({ rua: "x" })).toBe('{"rua":"x"}');
+  });
+
+  it("deve usar como cabeçalhos todos os atributos do array", async () => {
+    const { headers, rows } = await readAll(
+      createJsonArrayParser([{ name: "ana", age: 20 }, 5, { email: "a@x.com" }])
+    );
+
+    expect(headers).toEqual(["name", "age", "email"]);
+    expect(rows[0]).toEqual({ name: "ana", age: "20", [SOURCE_LINE]: 1 });
+    expect(rows[1][ROW_REJECTION]).toEqual({ reason: "MALFORMED_ROW" });
+    expect(rows[2][SOURCE_LINE]).toBe(3);
+  });
+
+  it("deve recusar itens com valores acima do limite de caracteres", async () => {
+    const { rows } = await readAll(
+      createJsonArrayParser([{ name: "ana" }, { name: "anabela" }], {
+        maxFieldLength: 5,
+      })
+    );
+
+    expect(rows[0][ROW_REJECTION]).toBeUndefined();
+    expect(rows[1][ROW_REJECTION]).toEqual({
+      reason: "FIELD_TOO_LONG",
+      column: "name",
+      limit: 5,
+    });
+  });
+
+  it("deve recusar um array acima do limite de linhas", () => {
+    expect(() => createJsonArrayParser([{}, {}], { maxRows: 1 })).toThrow(
+      expect.objectContaining({ code: "TOO_MANY_ROWS" })
+    );
+  });
+
+  it("deve ler NDJSON guardando as linhas inválidas até o primeiro objeto", async () => {
+    const input = Readable.from([
+      '\ufeff{quebrado\n\n{"name":"ana","age":20}\r\n',
+      '{"name":"bia","age":21}',
+    ]);
+
+    const { headers, rows } = await readAll(createNdjsonParser(input));
+
+    expect(headers).toEqual(["name", "age"]);
+    expect(rows.map((row) => row[SOURCE_LINE])).toEqual([1, 3, 4]);
+    expect(rows[0][ROW_REJECTION]).toEqual({ reason: "MALFORMED_ROW" });
+    expect(rows[2]).toEqual({ name: "bia", age: "21", [SOURCE_LINE]: 4 });
+  });
+
+  it("deve emitir os cabeçalhos de novo quando surgem atributos no NDJSON", async () => {
+    const parser = createNdjsonParser(
+      Readable.from(['{"name":"ana"}\n{"name":"bia","age":21}\n{"age":22}\n'])
+    );
+    const emitted = [];
+    parser.on("headers", (headers) => emitted.push(headers));
+
+    const { rows } = await readAll(parser);
+
+    expect(emitted).toEqual([["name"], ["name", "age"]]);
+    expect(rows[0]).toEqual({ name: "ana", [SOURCE_LINE]: 1 });
+  });
+
+  it("deve interromper o NDJSON acima do limite de linhas", async () => {
+    const input = Readable.from(['{"a":1}\n{"a":2}\n{"a":3}\n']);
+
+    await expect(
+      readAll(createNdjsonParser(input, { maxRows: 2 }))
+    ).rejects.toMatchObject({ status: 422, code: "TOO_MANY_ROWS" });
+  });
+
+  it("deve recusar com 413 uma linha de NDJSON acima do limite de bytes", async () => {
+    const linha = JSON.stringify({ name: "ana", age: 20 });
+    const aceito = Readable.from([`${linha}\n`, `${linha}\n`]);
+    const { rows } = await readAll(
+      createNdjsonParser(aceito, { maxLineBytes: linha.length })
+    );
+    expect(rows).toHaveLength(2);
+
+    // Sem quebra de linha, em vários blocos
+    const semQuebra = Readable.from([linha, linha.slice(0, 10)]);
+    await expect(
+      readAll(createNdjsonParser(semQuebra, { maxLineBytes: linha.length }))
+    ).rejects.toMatchObject({ status: 413, code: "BODY_TOO_LARGE" });
+  });
+});
@@ -0,0 +1,35 @@
+const { normalizeEmail } = require("../../utils/normalizeEmail");
+
+describe("Teste Unitário - Normalização de e-mail", () => {
+  it("deve remover espaços e converter para minúsculas", () => {
+    expect(normalizeEmail("  Caio.Martins@UNIFIO.edu.br ")).toBe(
+      "caio.martins@unifio.edu.br"
+    );
+  });
+
+  it("deve manter a tag após o + por padrão", () => {
+    expect(normalizeEmail("caio+turma@gmail.com")).toBe("caio+turma@gmail.com");
+  });
+
+  it("deve remover a tag apenas nos domínios configurados", () => {
+    const options = { stripPlusTagDomains: ["gmail.com"] };
+
+    expect(normalizeEmail("Caio+Turma@Gmail.com", options)).toBe(
+      "caio@gmail.com"
+    );
+    expect(normalizeEmail("caio+turma@unifio.edu.br", options)).toBe(
+      "caio+turma@unifio.edu.br"
+    );
+    expect(
+      normalizeEmail("caio+turma@unifio.edu.br", { stripPlusTagDomains: ["*"] })
+    ).toBe("caio@unifio.edu.br");
+  });
+
+  it("deve devolver valores ausentes ou sem @ sem remover tags", () => {
+    expect(normalizeEmail(undefined)).toBeUndefined();
+    expect(normalizeEmail(null)).toBeNull();
+    expect(normalizeEmail(" +Tag ", { stripPlusTagDomains: ["*"] })).toBe(
+      "+tag"
+    );
+  });
+});
@@ -0,0 +1,148 @@
+const Person = require("../../database/models/Person");
+const { writeBatch } = require("../../services/personWriter");
+jest.mock("../../database/models/Person");
+
+function existingPerson(values) {
+  return { ...values, update: jest.fn().mockResolvedValue() };
+}
+
+describe("Teste Unitário - Gravação de lotes", () => {
+  const records = [
+    { name: "caio martins", age: "20", email: "268312@unifio.edu.br" },
+    { name: "luis felipe viol", age: "21", email: "268359@unifio.edu.br" },
+    { name: "tiago almeida gomes", age: "21", email: "267699@unifio.edu.br" },
+  ];
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it("deve inserir os novos no modo insert-only", async () => {
+    Person.findAll.mockResolvedValue([]);
+
+    const result = await writeBatch(records);
+
+    expect(result).toEqual({
+      inserted: 3,
+      updated: 0,
+      unchanged: 0,
+      conflicts: [],
+    });
+    expect(Person.findAll).toHaveBeenCalledWith({
+      where: { email: records.map(({ email }) => email) },
+    });
+    expect(Person.bulkCreate).toHaveBeenCalledWith(records);
+  });
+
+  it("deve separar os já cadastrados no modo insert-only", async () => {
+    Person.findAll.mockResolvedValue([existingPerson(records[1])]);
+    const batch = [
+      ...records,
+      { ...records[0], email: " 268312@UNIFIO.edu.br" },
+    ];
+
+    const result = await writeBatch(batch);
+
+    expect(result.inserted).toBe(2);
+    expect(result.conflicts).toEqual([
+      { index: 1, reason: "ALREADY_EXISTS", field: "email" },
+      { index: 3, reason: "DUPLICATE_IN_FILE" },
+    ]);
+    expect(Person.bulkCreate).toHaveBeenCalledWith([records[0], records[2]]);
+  });
+
+  it("deve consultar a chave natural e o email únicos no dryRun", async () => {
+    Person.findAll
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([existingPerson(records[2])]);
+
+    const result = await writeBatch(records, {
+      naturalKey: ["name"],
+      dryRun: true,
+    });
+
+    expect(result.inserted).toBe(2);
+    expect(result.conflicts).toEqual([
+      { index: 2, reason: "ALREADY_EXISTS", field: "email" },
+    ]);
+    expect(Person.findAll).toHaveBeenCalledTimes(2);
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it("deve atualizar os existentes pelo email no modo upsert", async () => {
+    const caio = existingPerson({
+      name: "caio henrique rodrigues martins",
+      age: 19,
+      email: "268312@unifio.edu.br",
+    });
+    const luis = existingPerson({ ...records[1], age: 21 });
+    Person.findAll.mockResolvedValue([caio, luis]);
+
+    const result = await writeBatch(records, { mode: "upsert" });
+
+    expect(result).toEqual({
+      inserted: 1,
+      updated: 1,
+      unchanged: 1,
+      conflicts: [],
+    });
+    expect(Person.findAll).toHaveBeenCalledWith({
+      where: { email: records.map(({ email }) => email) },
+    });
+    expect(caio.update).toHaveBeenCalledWith({
+      name: "caio martins",
+      age: "20",
+    });
+    expect(luis.update).not.toHaveBeenCalled();
+    expect(Person.bulkCreate).toHaveBeenCalledWith([records[2]]);
+  });
+
+  it("deve manter os existentes no modo skip-existing", async () => {
+    const caio = existingPerson({ ...records[0], name: "outro nome" });
+    Person.findAll.mockResolvedValue([caio]);
+
+    const result = await writeBatch(records, { mode: "skip-existing" });
+
+    expect(result).toEqual({
+      inserted: 2,
+      updated: 0,
+      unchanged: 1,
+      conflicts: [],
+    });
+    expect(caio.update).not.toHaveBeenCalled();
+  });
+
+  it("deve rejeitar nos modos com chave natural o email de outra pessoa", async () => {
+    const luis = existingPerson({ ...records[1], id: 2 });
+    const caio = existingPerson({ ...records[0], id: 1, name: "caio" });
+    Person.findAll
+      .mockResolvedValueOnce([caio]) // Pela chave natural (name)
+      .mockResolvedValueOnce([luis]); // Pelo email
+    const batch = [
+      { ...records[0], name: "caio", email: records[1].email },
+      { ...records[1], name: "luis novo" },
+      records[2],
+    ];
+
+    const result = await writeBatch(batch, {
+      mode: "upsert",
+      naturalKey: ["name"],
+    });
+
+    expect(result.conflicts).toEqual([
+      { index: 0, reason: "ALREADY_EXISTS", field: "email" },
+      { index: 1, reason: "ALREADY_EXISTS", field: "email" },
+    ]);
+    expect(caio.update).not.toHaveBeenCalled();
+    expect(Person.bulkCreate).toHaveBeenCalledWith([records[2]]);
+  });
+
+  it("deve apenas prever o resultado com dryRun", async () => {
+    Person.findAll.mockResolvedValue([]);
+
+    const result = await writeBatch(records, { mode: "upsert", dryRun: true });
+
+    expect(result.inserted).toBe(3);
+    expect(Person.bulkCreate).not.toHaveBeenCalled();
+  });
+});
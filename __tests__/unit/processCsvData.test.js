@@ -1,29 +1,165 @@
-const { processCsvRow } = require("../../utils/processCsvRow"); // Função para processar linhas CSV
+const {
+  ROW_STEPS,
+  createRowPipeline,
+  processCsvRow,
+  registerRowStep,
+} = require("../../utils/processCsvRow"); // Função para processar linhas CSV
+
+// Cria a função de um passo isolado, com as opções informadas
+const step = (name, options) => ROW_STEPS.get(name)(options);
 
 describe("Teste Unitário - Processamento de Linha CSV", () => {
   it("deve processar uma linha válida corretamente", () => {
     const row = {
       name: " caio henrique rodrigues martins ",
       age: " 19 ",
-      email: " 268312@unifio.edu.br ",
+      email: " 268312@UNIFIO.edu.br ",
     };
 
     const result = processCsvRow(row);
 
     expect(result).toEqual({
-      name: "caio henrique rodrigues martins",
-      age: "19",
-      email: "268312@unifio.edu.br",
+      record: {
+        name: "caio henrique rodrigues martins",
+        age: 19,
+        email: "268312@unifio.edu.br",
+      },
     });
   });
 
-  it("deve retornar null para uma linha inválida", () => {
+  it("deve retornar o motivo para uma linha inválida", () => {
     const row = {
       name: "caio henrique rodrigues martins",
       email: "268312@unifio.edu.br", // Campo 'age' está faltando
     };
 
     const result = processCsvRow(row);
-    expect(result).toBeNull();
+    expect(result).toEqual({
+      rejection: { reason: "MISSING_FIELD", field: "age" },
+      step: "validate",
+    });
+  });
+
+  it("deve recusar linhas repetidas pela chave de deduplicação", () => {
+    const pipeline = createRowPipeline({
+      options: { dedupe: { key: ["name", "email"] } },
+    });
+    const row = {
+      name: "felps",
+      age: "20",
+      email: "naoseiemail@unifio.edu.br",
+    };
+
+    expect(processCsvRow(row, pipeline).record).toBeDefined();
+    expect(
+      processCsvRow({ ...row, name: "tiago" }, pipeline).record
+    ).toBeDefined();
+    expect(processCsvRow(row, pipeline)).toEqual({
+      rejection: { reason: "DUPLICATE_IN_FILE" },
+      step: "dedupe",
+    });
+  });
+
+  it("deve rodar apenas os passos habilitados, mais os obrigatórios", () => {
+    const pipeline = createRowPipeline({ steps: ["normalize"] });
+
+    expect(pipeline.map(({ name }) => name)).toEqual([
+      "normalize",
+      "mapHeaders",
+      "validate",
+    ]);
+    expect(
+      processCsvRow({ nome: " ana ", idade: "30", email: "A@x.com" }, pipeline)
+    ).toEqual({ record: { name: "ana", age: "30", email: "A@x.com" } });
+  });
+
+  it("deve inserir um passo registrado na posição indicada", () => {
+    const upperName = () => (record) => ({
+      record: { ...record, name: record.name.toUpperCase() },
+    });
+
+    registerRowStep("upperName", upperName, { before: "validate" });
+    try {
+      const pipeline = createRowPipeline({
+        steps: ["normalize", "coerce", "upperName"],
+      });
+
+      expect(pipeline.map(({ name }) => name)).toEqual([
+        "normalize",
+        "mapHeaders",
+        "coerce",
+        "upperName",
+        "validate",
+      ]);
+      expect(
+        processCsvRow({ name: "ana", age: "30", email: "a@x.com" }, pipeline)
+          .record.name
+      ).toBe("ANA");
+    } finally {
+      ROW_STEPS.delete("upperName");
+    }
+  });
+});
+
+describe("Teste Unitário - Passos do pipeline de linhas", () => {
+  it("normalize deve remover espaços nas pontas e, se pedido, os repetidos", () => {
+    const row = { nome: "  caio   martins ", extra: 5 };
+
+    expect(step("normalize")(row).record).toEqual({
+      nome: "caio   martins",
+      extra: 5,
+    });
+    expect(step("normalize", { collapseSpaces: true })(row).record.nome).toBe(
+      "caio martins"
+    );
+  });
+
+  it("mapHeaders deve usar as colunas resolvidas ou os apelidos", () => {
+    const row = { "E-mail": "a@x.com", Nome: "ana", Idade: "30", Obs: "-" };
+
+    expect(
+      step("mapHeaders", { fields: { name: "Nome" } })(row).record
+    ).toEqual({ name: "ana" });
+    expect(step("mapHeaders")(row).record).toEqual({
+      name: "ana",
+      age: "30",
+      email: "a@x.com",
+    });
+
+    // Sem `fields`, cada linha usa as próprias colunas, mesmo que a primeira
+    // não traga todas
+    const mapHeaders = step("mapHeaders");
+    expect(mapHeaders({ Nome: "bia" }).record).toEqual({ name: "bia" });
+    expect(mapHeaders(row).record.age).toBe("30");
+  });
+
+  it("coerce deve converter a idade e normalizar o email", () => {
+    const coerce = step("coerce", { stripPlusTagDomains: ["gmail.com"] });
+
+    expect(
+      coerce({ name: "ana", age: "+30", email: "Ana+Turma@Gmail.com" }).record
+    ).toEqual({ name: "ana", age: 30, email: "ana@gmail.com" });
+    expect(coerce({ age: "trinta" }).record.age).toBe("trinta");
+  });
+
+  it("validate deve aceitar idade zero e recusar idade inválida", () => {
+    const validate = step("validate");
+    const record = { name: "bebê", age: 0, email: "bebe@unifio.edu.br" };
+
+    expect(validate(record)).toEqual({ record });
+    expect(validate({ ...record, age: "trinta" }).rejection).toEqual({
+      reason: "INVALID_AGE",
+      field: "age",
+    });
+  });
+
+  it("dedupe deve guardar as chaves de cada pipeline separadamente", () => {
+    const record = { name: "ana", age: 30, email: "a@x.com" };
+    const first = step("dedupe", { key: ["email"] });
+    const second = step("dedupe", { key: ["email"] });
+
+    expect(first(record)).toEqual({ record });
+    expect(first(record).rejection.reason).toBe("DUPLICATE_IN_FILE");
+    expect(second(record)).toEqual({ record });
   });
 });
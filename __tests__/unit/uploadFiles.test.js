@@ -0,0 +1,117 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ImportJob = require("../../database/models/ImportJob");
+const { discardUpload, removeStaleFiles } = require("../../utils/uploadFiles");
+const { sweepUploads } = require("../../services/uploadSweeper");
+jest.mock("../../database/models/ImportJob");
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Cria um arquivo com a data de modificação `ageMs` no passado
+function createFile(name, ageMs = 0) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, "name,age,email\n");
+  const mtime = new Date(Date.now() - ageMs);
+  fs.utimesSync(filePath, mtime, mtime);
+  return filePath;
+}
+
+describe("Teste Unitário - Arquivos temporários de upload", () => {
+  it("deve apagar o arquivo de um upload concluído", async () => {
+    const filePath = createFile("upload");
+
+    await discardUpload(filePath, {
+      config: { quarantine: true, quarantineDir: path.join(dir, "q") },
+    });
+
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(fs.existsSync(path.join(dir, "q"))).toBe(false);
+  });
+
+  it("deve mover para a quarentena o arquivo de uma importação que falhou", async () => {
+    const filePath = createFile("upload");
+    const quarantineDir = path.join(dir, "quarantine");
+
+    await discardUpload(filePath, {
+      failed: true,
+      config: { quarantine: true, quarantineDir },
+    });
+
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(fs.existsSync(path.join(quarantineDir, "upload"))).toBe(true);
+  });
+
+  it("deve apagar o arquivo que falhou quando a quarentena está desligada", async () => {
+    const filePath = createFile("upload");
+
+    await discardUpload(filePath, {
+      failed: true,
+      config: { quarantine: false },
+    });
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("deve ignorar um arquivo que já foi removido", async () => {
+    await expect(
+      discardUpload(path.join(dir, "inexistente"))
+    ).resolves.toBeUndefined();
+  });
+
+  it("deve apagar apenas os órfãos mais antigos que a retenção", async () => {
+    const day = 24 * 3600 * 1000;
+    const stale = createFile("antigo", 2 * day);
+    const recent = createFile("recente");
+    const queued = createFile("na-fila", 2 * day);
+    fs.mkdirSync(path.join(dir, "quarantine"));
+
+    const removed = await removeStaleFiles(dir, {
+      olderThanMs: day,
+      keep: new Set([queued]),
+    });
+
+    expect(removed).toEqual([stale]);
+    expect(fs.existsSync(recent)).toBe(true);
+    expect(fs.existsSync(queued)).toBe(true);
+    expect(fs.existsSync(path.join(dir, "quarantine"))).toBe(true);
+  });
+
+  it("deve tolerar a pasta de uploads inexistente", async () => {
+    await expect(
+      removeStaleFiles(path.join(dir, "nao-existe"), { olderThanMs: 0 })
+    ).resolves.toEqual([]);
+  });
+});
+
+describe("Teste Unitário - Varredura de arquivos antigos", () => {
+  it("deve apagar os relatórios de rejeitados fora da retenção", async () => {
+    const hour = 3600 * 1000;
+    fs.mkdirSync(path.join(dir, "uploads"));
+    fs.mkdirSync(path.join(dir, "reports"));
+    const upload = createFile("uploads/orfao", 2 * hour);
+    const oldReport = createFile("reports/antigo.csv", 8 * 24 * hour);
+    const recentReport = createFile("reports/recente.csv", 2 * hour);
+    ImportJob.findAll.mockResolvedValue([]);
+
+    const removed = await sweepUploads({
+      config: {
+        dir: path.join(dir, "uploads"),
+        retentionMs: hour,
+        reportRetentionMs: 7 * 24 * hour,
+      },
+      reportsDir: path.join(dir, "reports"),
+    });
+
+    expect(removed).toEqual([upload, oldReport]);
+    expect(fs.existsSync(recentReport)).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isAllowedFile, looksBinary } = require("../../utils/uploadLimits");
+const { checkCsvLimits } = require("../../services/csvImport");
+
+describe("Teste Unitário - Limites de upload", () => {
+  it("deve aceitar apenas as extensões e tipos MIME configurados", () => {
+    expect(
+      isAllowedFile({ originalname: "pessoas.CSV", mimetype: "text/csv" })
+    ).toBe(true);
+    expect(
+      isAllowedFile({
+        originalname: "pessoas.csv",
+        mimetype: "application/vnd.ms-excel",
+      })
+    ).toBe(true);
+    expect(
+      isAllowedFile({ originalname: "foto.png", mimetype: "image/png" })
+    ).toBe(false);
+    expect(
+      isAllowedFile({ originalname: "pessoas.csv", mimetype: "image/png" })
+    ).toBe(false);
+  });
+
+  it("deve reconhecer conteúdo binário, exceto em UTF-16", () => {
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]);
+
+    expect(looksBinary(binary, { encoding: "windows-1252" })).toBe(true);
+    expect(looksBinary(Buffer.from("name,age\n"), { encoding: "utf-8" })).toBe(
+      false
+    );
+    expect(
+      looksBinary(Buffer.from("\ufeffname", "utf16le"), {
+        encoding: "utf-16le",
+      })
+    ).toBe(false);
+  });
+});
+
+describe("Teste Unitário - Limites do conteúdo do CSV", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "limits-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeCsv = (content) => {
+    const filePath = path.join(dir, "pessoas.csv");
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  it("deve contar as linhas de um arquivo dentro dos limites", async () => {
+    const filePath = writeCsv("name,age,email\nAna,20,ana@x.com\n");
+
+    await expect(checkCsvLimits(filePath)).resolves.toEqual({ rows: 1 });
+  });
+
+  it("deve recusar com 422 um arquivo com linhas demais", async () => {
+    const filePath = writeCsv(
+      "name,age,email\nAna,20,ana@x.com\nBia,21,bia@x.com\n"
+    );
+
+    await expect(
+      checkCsvLimits(filePath, {}, { maxRows: 1 })
+    ).rejects.toMatchObject({ status: 422, details: { limit: 1 } });
+  });
+
+  it("deve apontar a linha e a coluna de um campo longo demais", async () => {
+    const filePath = writeCsv(
+      `name,age,email\nAna,20,ana@x.com\n${"a".repeat(20)},21,bia@x.com\n`
+    );
+
+    await expect(
+      checkCsvLimits(filePath, {}, { maxFieldLength: 10 })
+    ).rejects.toMatchObject({
+      status: 422,
+      details: { line: 3, column: "name", limit: 10 },
+    });
+  });
+
+  it("deve recusar com 415 um arquivo binário", async () => {
+    const filePath = writeCsv(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0]));
+
+    await expect(checkCsvLimits(filePath)).rejects.toMatchObject({
+      status: 415,
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  REJECTION_REASONS,
+  parseAge,
+  reasonFromValidationError,
+  validateRecord,
+} = require("../../utils/validateRecord");
+const { formatCsvRow } = require("../../utils/csvWriter");
+
+describe("Teste Unitário - Validação de registros", () => {
+  const valid = {
+    name: "caio henrique rodrigues martins",
+    age: "19",
+    email: "268312@unifio.edu.br",
+  };
+
+  it("deve aceitar um registro válido", () => {
+    expect(validateRecord(valid)).toBeNull();
+  });
+
+  it("deve apontar o campo obrigatório ausente", () => {
+    expect(validateRecord({ ...valid, email: "" })).toEqual({
+      reason: REJECTION_REASONS.MISSING_FIELD,
+      field: "email",
+    });
+  });
+
+  it("deve rejeitar idade e email inválidos", () => {
+    expect(validateRecord({ ...valid, age: "dezenove" }).reason).toBe(
+      REJECTION_REASONS.INVALID_AGE
+    );
+    expect(validateRecord({ ...valid, email: "caio@" }).reason).toBe(
+      REJECTION_REASONS.INVALID_EMAIL
+    );
+  });
+
+  it("deve aceitar apenas idades inteiras", () => {
+    expect(parseAge(" 19 ")).toBe(19);
+    expect(parseAge("+20")).toBe(20);
+    expect(parseAge(21)).toBe(21);
+    expect(parseAge("19.5")).toBeNull();
+    expect(parseAge("1e2")).toBeNull();
+    expect(parseAge("dezenove")).toBeNull();
+  });
+
+  it("deve rejeitar idades fora da faixa configurada", () => {
+    for (const age of ["-3", "300"]) {
+      expect(validateRecord({ ...valid, age })).toEqual({
+        reason: REJECTION_REASONS.AGE_OUT_OF_RANGE,
+        field: "age",
+        min: 0,
+        max: 130,
+      });
+    }
+    expect(validateRecord({ ...valid, age: "19.5" }).reason).toBe(
+      REJECTION_REASONS.INVALID_AGE
+    );
+  });
+
+  it("deve escapar valores ao gerar o CSV de rejeitados", () => {
+    expect(formatCsvRow([2, 'diz "oi"', "a;b"], ";")).toBe(
+      '2;"diz ""oi""";"a;b"\n'
+    );
+  });
+});
+
+describe("Teste Unitário - Erros de validação do modelo", () => {
+  const Person = require("../../database/models/Person");
+
+  it("deve traduzir o isEmail do modelo para INVALID_EMAIL", async () => {
+    const error = await Person.build({ name: "caio", age: 19, email: "caio" })
+      .validate()
+      .catch((err) => err);
+
+    expect(reasonFromValidationError(error)).toEqual({
+      reason: REJECTION_REASONS.INVALID_EMAIL,
+      field: "email",
+    });
+  });
+
+  it("deve traduzir campos nulos para MISSING_FIELD", async () => {
+    const error = await Person.build({ age: 19, email: "a@b.com" })
+      .validate()
+      .catch((err) => err);
+
+    expect(reasonFromValidationError(error)).toEqual({
+      reason: REJECTION_REASONS.MISSING_FIELD,
+      field: "name",
+    });
+  });
+
+  it("deve aplicar a faixa de idade também no modelo", async () => {
+    const error = await Person.build({
+      name: "caio",
+      age: 300,
+      email: "caio@unifio.edu.br",
+    })
+      .validate()
+      .catch((err) => err);
+
+    expect(reasonFromValidationError(error)).toEqual({
+      reason: REJECTION_REASONS.AGE_OUT_OF_RANGE,
+      field: "age",
+      min: 0,
+      max: 130,
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const {
+  cellToString,
+  createXlsxParser,
+  isXlsx,
+} = require("../../utils/xlsxReader");
+const { SOURCE_LINE } = require("../../utils/rowSource");
+const { checkCsvLimits } = require("../../services/csvImport");
+
+describe("Teste Unitário - Valores das células da planilha", () => {
+  it("deve converter números, datas, fórmulas e hiperlinks para texto", () => {
+    expect(cellToString(19)).toBe("19");
+    expect(cellToString(null)).toBe("");
+    expect(cellToString(true)).toBe("true");
+    expect(cellToString(new Date(Date.UTC(2005, 2, 4)))).toBe("2005-03-04");
+    expect(cellToString(new Date(Date.UTC(2005, 2, 4, 13, 30)))).toBe(
+      "2005-03-04T13:30:00.000Z"
+    );
+    expect(cellToString({ formula: "10+9", result: 19 })).toBe("19");
+    expect(cellToString({ formula: "A1" })).toBe("");
+    expect(cellToString({ text: "a@x.com", hyperlink: "mailto:a@x.com" })).toBe(
+      "a@x.com"
+    );
+    expect(
+      cellToString({ richText: [{ text: "caio " }, { text: "martins" }] })
+    ).toBe("caio martins");
+    expect(cellToString({ error: "#N/A" })).toBe("#N/A");
+  });
+});
+
+describe("Teste Unitário - Leitura de planilhas .xlsx", () => {
+  let dir;
+  let filePath;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-"));
+    filePath = path.join(dir, "pessoas.xlsx");
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet("Capa").addRow(["Lista de alunos"]);
+
+    const alunos = workbook.addWorksheet("Alunos");
+    alunos.addRow(["Relatório da secretaria"]);
+    alunos.addRow(["Nome", "Idade", "E-mail"]);
+    alunos.addRow(["caio", 19, "268312@unifio.edu.br"]);
+    alunos.addRow([]);
+    alunos.addRow(["ana", { formula: "10+10", result: 20 }, "ana@x.com"]);
+
+    await workbook.xlsx.writeFile(filePath);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readAll = async (options) => {
+    const parser = createXlsxParser(filePath, options);
+    const events = {};
+    parser.on("headers", (headers) => (events.headers = headers));
+    parser.on("sheet", (sheet) => (events.sheet = sheet));
+
+    const rows = [];
+    for await (const row of parser) {
+      rows.push(row);
+    }
+
+    return { ...events, rows };
+  };
+
+  it("deve reconhecer um arquivo .xlsx pela assinatura", () => {
+    expect(isXlsx(fs.readFileSync(filePath))).toBe(true);
+    expect(isXlsx(Buffer.from("name,age,email\n"))).toBe(false);
+  });
+
+  it("deve ler a aba pelo nome a partir da linha do cabeçalho", async () => {
+    const { headers, sheet, rows } = await readAll({
+      sheet: "alunos",
+      headerRow: 2,
+    });
+
+    expect(headers).toEqual(["Nome", "Idade", "E-mail"]);
+    expect(sheet).toEqual({ name: "Alunos", index: 2, headerRow: 2 });
+    // A linha em branco é ignorada, mas a numeração segue a da planilha
+    expect(rows).toEqual([
+      {
+        Nome: "caio",
+        Idade: "19",
+        "E-mail": "268312@unifio.edu.br",
+        [SOURCE_LINE]: 3,
+      },
+      { Nome: "ana", Idade: "20", "E-mail": "ana@x.com", [SOURCE_LINE]: 5 },
+    ]);
+  });
+
+  it("deve ler a aba pela posição e usar a primeira por padrão", async () => {
+    expect((await readAll({ sheet: "2", headerRow: 2 })).rows).toHaveLength(2);
+    expect((await readAll()).headers).toEqual(["Lista de alunos"]);
+  });
+
+  it("deve recusar uma aba inexistente", async () => {
+    await expect(readAll({ sheet: "Professores" })).rejects.toMatchObject({
+      code: "SHEET_NOT_FOUND",
+      details: { sheets: ["Capa", "Alunos"] },
+    });
+  });
+
+  it("deve aplicar os limites de conteúdo às planilhas", async () => {
+    await expect(
+      checkCsvLimits(filePath, { sheet: "Alunos", headerRow: 2 })
+    ).resolves.toEqual({ rows: 2 });
+    await expect(
+      checkCsvLimits(
+        filePath,
+        { sheet: "Alunos", headerRow: 2 },
+        { maxFieldLength: 5 }
+      )
+    ).rejects.toMatchObject({
+      status: 422,
+      details: { line: 3, column: "E-mail", limit: 5 },
+    });
+  });
+});
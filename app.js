@@ -1,6 +1,14 @@
 const express = require("express");
 const sequelize = require("./database/config");
+const { pendingMigrations } = require("./database/migrator");
 const csvRoutes = require("./routes/csvRoutes");
+const peopleRoutes = require("./routes/peopleRoutes");
+const { resumePendingJobs } = require("./services/importJobs");
+const { startUploadSweeper } = require("./services/uploadSweeper");
+const { requestId } = require("./middleware/requestId");
+const { locale } = require("./middleware/locale");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
+const importConfig = require("./config/import");
 
 const app = express();
 const DEFAULT_PORT = 5000;
@@ -8,10 +16,22 @@ const DEFAULT_PORT = 5000;
 // Defina uma porta aleatória para o ambiente de teste
 const PORT = process.env.NODE_ENV === "test" ? 0 : DEFAULT_PORT; // Se for teste, a porta será aleatória
 
+app.use(requestId);
+app.use(locale);
+// A importação em massa aceita arrays JSON maiores que o limite padrão
+app.use(
+  "/api/people/bulk",
+  express.json({ limit: importConfig.maxBulkBodySize })
+);
 app.use(express.json());
 
 // Rotas
 app.use("/api/csv", csvRoutes);
+app.use("/api/people", peopleRoutes);
+
+// Rotas inexistentes e erros respondem { code, message, details, requestId }
+app.use(notFound);
+app.use(errorHandler);
 
 // Função para inicializar a conexão e o servidor
 const startServer = async () => {
@@ -19,8 +39,19 @@ const startServer = async () => {
     await sequelize.authenticate();
     console.log("Conexão com o banco de dados bem-sucedida.");
 
-    // Cria a tabela se ela não existir
-    await sequelize.sync({ force: true });
+    // O esquema é criado pelas migrations (npm run migrate), nunca no boot
+    const pending = await pendingMigrations();
+    if (pending.length > 0) {
+      console.error(
+        'Esquema do banco desatualizado. Rode "npm run migrate". Pendentes:',
+        pending.join(", ")
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    await resumePendingJobs();
+    await startUploadSweeper();
 
     // Retorna o servidor sem iniciar imediatamente
     return app.listen(PORT, () => {
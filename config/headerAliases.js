@@ -0,0 +1,15 @@
+// Cabeçalhos aceitos para cada atributo do modelo Person.
+// A comparação ignora maiúsculas, acentos e pontuação, então "E-mail"
+// e "email" são equivalentes e não precisam ser repetidos aqui.
+module.exports = {
+  name: ["name", "nome", "nome completo", "aluno", "full name"],
+  age: ["age", "idade", "anos"],
+  email: [
+    "email",
+    "e-mail",
+    "email institucional",
+    "email pessoal",
+    "correio eletronico",
+    "mail",
+  ],
+};
@@ -0,0 +1,44 @@
+// Como tratar registros que já existem na tabela Person
+const IMPORT_MODES = {
+  INSERT_ONLY: "insert-only", // Insere os novos e rejeita os já cadastrados
+  UPSERT: "upsert", // Atualiza os existentes e insere os novos
+  SKIP_EXISTING: "skip-existing", // Mantém os existentes e insere os novos
+};
+
+// Estados de um job de importação (ImportJob) e de um lote gravado (ImportBatch)
+const JOB_STATES = ["queued", "running", "completed", "failed"];
+const IMPORT_STATES = ["running", "completed", "failed"];
+
+// Parâmetros da importação de CSV, ajustáveis por variáveis de ambiente
+module.exports = {
+  IMPORT_MODES,
+  IMPORT_STATES,
+  JOB_STATES,
+  // Quantidade de registros enviados em cada Person.bulkCreate
+  batchSize: Number(process.env.CSV_BATCH_SIZE) || 1000,
+  maxBatchSize: 10000,
+  // Linhas rejeitadas devolvidas na resposta; o relatório em CSV traz todas
+  maxReportedRejections:
+    Number(process.env.CSV_MAX_REPORTED_REJECTIONS) || 1000,
+  // Limites do conteúdo do arquivo; acima deles o upload é recusado com 422
+  maxRows: Number(process.env.CSV_MAX_ROWS) || 100000,
+  maxFieldLength: Number(process.env.CSV_MAX_FIELD_LENGTH) || 255,
+  // Corpo máximo de um array JSON em /api/people/bulk; NDJSON é lido em stream
+  maxBulkBodySize: `${Number(process.env.BULK_MAX_BODY_SIZE_MB) || 10}mb`,
+  // Bytes de uma linha de NDJSON, que é guardada inteira até a quebra de linha.
+  // O padrão cabe uma dezena de campos no limite de caracteres, a até 4 bytes
+  // por caractere em UTF-8, com folga para a sintaxe do JSON
+  maxNdjsonLineBytes:
+    Number(process.env.BULK_MAX_LINE_BYTES) ||
+    (Number(process.env.CSV_MAX_FIELD_LENGTH) || 255) * 4 * 16,
+  mode: IMPORT_MODES.INSERT_ONLY,
+  // Atributos que identificam uma pessoa já cadastrada nos modos upsert e skip-existing
+  naturalKey: (process.env.CSV_NATURAL_KEY || "email").split(","),
+  // Atributos que identificam uma linha repetida dentro do mesmo arquivo
+  dedupKey: (process.env.CSV_DEDUP_KEY || "email").split(","),
+  // Passos do pipeline de cada linha (ver utils/processCsvRow); mapHeaders e
+  // validate rodam sempre
+  rowSteps: (
+    process.env.CSV_ROW_STEPS || "normalize,mapHeaders,coerce,validate,dedupe"
+  ).split(","),
+};
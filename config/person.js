@@ -0,0 +1,16 @@
+// Regras dos atributos de Person, compartilhadas pelo modelo e pela importação
+module.exports = {
+  // Faixa aceita para a idade, ajustável por variáveis de ambiente
+  age: {
+    min: Number(process.env.PERSON_AGE_MIN ?? 0),
+    max: Number(process.env.PERSON_AGE_MAX ?? 130),
+  },
+  email: {
+    // Domínios em que "nome+tag@dominio" é o mesmo endereço que "nome@dominio".
+    // Ex.: PERSON_EMAIL_STRIP_PLUS_DOMAINS=gmail.com,googlemail.com; "*" vale para todos
+    stripPlusTagDomains: (process.env.PERSON_EMAIL_STRIP_PLUS_DOMAINS || "")
+      .split(",")
+      .map((domain) => domain.trim().toLowerCase())
+      .filter(Boolean),
+  },
+};
@@ -0,0 +1,38 @@
+const path = require("path");
+
+const uploadDir = process.env.UPLOAD_DIR || "uploads";
+
+// Ciclo de vida e limites dos arquivos recebidos pelo Multer
+module.exports = {
+  dir: uploadDir,
+  // Com UPLOAD_QUARANTINE=true os arquivos de importações que falharam por
+  // erro do servidor são movidos para a quarentena em vez de apagados, para
+  // análise
+  quarantine: process.env.UPLOAD_QUARANTINE === "true",
+  quarantineDir:
+    process.env.UPLOAD_QUARANTINE_DIR || path.join(uploadDir, "quarantine"),
+  // Arquivos órfãos mais antigos que isso são apagados pela varredura
+  retentionMs: (Number(process.env.UPLOAD_RETENTION_HOURS) || 24) * 3600 * 1000,
+  // Pasta dos relatórios de linhas rejeitadas, que ficam disponíveis para
+  // download por reportRetentionMs e depois são apagados pela mesma varredura
+  reportsDir: process.env.REPORTS_DIR || "reports",
+  reportRetentionMs:
+    (Number(process.env.REPORT_RETENTION_HOURS) || 7 * 24) * 3600 * 1000,
+  // Intervalo da varredura periódica; 0 desliga
+  sweepIntervalMs:
+    Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES ?? 60) * 60 * 1000,
+  // Tamanho máximo do arquivo; acima disso a resposta é 413
+  maxFileSize:
+    (Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10) * 1024 * 1024,
+  // Formatos aceitos; extensão e tipo MIME precisam estar nas listas (415)
+  allowedExtensions: [".csv", ".tsv", ".txt", ".xlsx"],
+  allowedMimeTypes: [
+    "text/csv",
+    "text/plain",
+    "text/tab-separated-values",
+    "application/csv",
+    "application/vnd.ms-excel", // Enviado pelos navegadores no Windows para .csv
+    "application/octet-stream",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ],
+};
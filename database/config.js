@@ -1,8 +1,7 @@
 const { Sequelize } = require("sequelize");
+const { loadDatabaseConfig } = require("../config/database");
 
-const sequelize = new Sequelize("csvtomysql", "root", "caio123", {
-  host: "localhost",
-  dialect: "mysql",
-});
+// Conexão configurada por variáveis de ambiente (ver config/database.js)
+const sequelize = new Sequelize(loadDatabaseConfig());
 
 module.exports = sequelize;
@@ -0,0 +1,36 @@
+// Uso: npm run migrate | npm run rollback | npm run migrate:status
+const sequelize = require("./config");
+const { migrator } = require("./migrator");
+
+const commands = {
+  up: () => migrator.up(),
+  // Desfaz apenas a última migration aplicada
+  down: () => migrator.down(),
+  status: async () => {
+    const executed = await migrator.executed();
+    const pending = await migrator.pending();
+
+    executed.forEach(({ name }) => console.log(`aplicada  ${name}`));
+    pending.forEach(({ name }) => console.log(`pendente  ${name}`));
+  },
+};
+
+const run = async () => {
+  const command = commands[process.argv[2] || "up"];
+  if (!command) {
+    console.error("Comando desconhecido. Use up, down ou status.");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await command();
+  } catch (error) {
+    console.error("Erro ao executar as migrations:", error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
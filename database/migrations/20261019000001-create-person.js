@@ -0,0 +1,33 @@
+// Tabela criada antes pelo sequelize.sync(); bancos antigos já a possuem
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists("person")) {
+      return;
+    }
+
+    await queryInterface.createTable("person", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      age: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("person");
+  },
+};
@@ -0,0 +1,70 @@
+// Tabela criada antes pelo ImportJob.sync(); bancos antigos já a possuem
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists("import_job")) {
+      return;
+    }
+
+    await queryInterface.createTable("import_job", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+      },
+      state: {
+        type: Sequelize.ENUM("queued", "running", "completed", "failed"),
+        allowNull: false,
+        defaultValue: "queued",
+      },
+      fileName: {
+        type: Sequelize.STRING,
+      },
+      filePath: {
+        type: Sequelize.STRING,
+      },
+      options: {
+        type: Sequelize.JSON,
+      },
+      rowsRead: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      inserted: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      rejected: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      errors: {
+        type: Sequelize.JSON,
+      },
+      report: {
+        type: Sequelize.JSON,
+      },
+      queuedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+      },
+      finishedAt: {
+        type: Sequelize.DATE,
+      },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("import_job");
+
+    // No PostgreSQL o ENUM vira um tipo próprio que sobrevive ao dropTable
+    if (queryInterface.sequelize.getDialect() === "postgres") {
+      await queryInterface.dropEnum("enum_import_job_state");
+    }
+  },
+};
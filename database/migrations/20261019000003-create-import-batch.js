@@ -0,0 +1,88 @@
+// Procedência das importações: lote de origem e linha do arquivo em cada pessoa
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("import_batch", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+      },
+      state: {
+        type: Sequelize.ENUM("running", "completed", "failed"),
+        allowNull: false,
+        defaultValue: "running",
+      },
+      originalFilename: {
+        type: Sequelize.STRING,
+      },
+      sha256: {
+        type: Sequelize.STRING(64),
+      },
+      uploader: {
+        type: Sequelize.STRING,
+      },
+      options: {
+        type: Sequelize.JSON,
+      },
+      rowsRead: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      inserted: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      updated: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      unchanged: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      rejected: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      finishedAt: {
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("import_batch", ["sha256"]);
+
+    await queryInterface.addColumn("person", "importBatchId", {
+      type: Sequelize.UUID,
+      references: { model: "import_batch", key: "id" },
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addColumn("person", "sourceLine", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addIndex("person", ["importBatchId"]);
+
+    await queryInterface.addColumn("import_job", "uploader", {
+      type: Sequelize.STRING,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("import_job", "uploader");
+    await queryInterface.removeIndex("person", ["importBatchId"]);
+    await queryInterface.removeColumn("person", "sourceLine");
+    await queryInterface.removeColumn("person", "importBatchId");
+    await queryInterface.dropTable("import_batch");
+
+    if (queryInterface.sequelize.getDialect() === "postgres") {
+      await queryInterface.dropEnum("enum_import_batch_state");
+    }
+  },
+};
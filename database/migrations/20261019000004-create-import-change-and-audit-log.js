@@ -0,0 +1,76 @@
+// Histórico de alterações por importação e trilha de auditoria para o rollback
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("import_change", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false,
+      },
+      importBatchId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "import_batch", key: "id" },
+        onDelete: "CASCADE",
+      },
+      personId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      sourceLine: {
+        type: Sequelize.INTEGER,
+      },
+      previousValues: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      changedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("import_change", ["importBatchId"]);
+
+    await queryInterface.createTable("audit_log", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false,
+      },
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      entityType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      entityId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      performedBy: {
+        type: Sequelize.STRING,
+      },
+      details: {
+        type: Sequelize.JSON,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addColumn("import_batch", "rolledBackAt", {
+      type: Sequelize.DATE,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("import_batch", "rolledBackAt");
+    await queryInterface.dropTable("audit_log");
+    await queryInterface.dropTable("import_change");
+  },
+};
@@ -0,0 +1,70 @@
+// Normaliza os e-mails já gravados e cria o índice único em person.email.
+// Só aplica minúsculas e remove espaços: a remoção de "+tag" depende da
+// configuração de cada ambiente e não é refeita aqui.
+//
+// Pessoas com o mesmo e-mail normalizado são resolvidas mantendo a de menor
+// id; as demais são removidas e ficam registradas em audit_log.
+const INDEX_NAME = "person_email_unique";
+
+module.exports = {
+  async up(queryInterface) {
+    const { sequelize } = queryInterface;
+
+    await sequelize.transaction(async (transaction) => {
+      const people = await queryInterface.select(null, "person", {
+        order: [["id", "ASC"]],
+        transaction,
+      });
+
+      const kept = new Map();
+      for (const person of people) {
+        const email = person.email.trim().toLowerCase();
+        const keptId = kept.get(email);
+
+        if (keptId === undefined) {
+          kept.set(email, person.id);
+          if (email !== person.email) {
+            await queryInterface.bulkUpdate(
+              "person",
+              { email },
+              { id: person.id },
+              { transaction }
+            );
+          }
+          continue;
+        }
+
+        await queryInterface.bulkInsert(
+          "audit_log",
+          [
+            {
+              action: "person.merge-duplicate",
+              entityType: "person",
+              entityId: String(person.id),
+              performedBy: "migration",
+              details: JSON.stringify({ keptId, removed: person }),
+              createdAt: new Date(),
+            },
+          ],
+          { transaction }
+        );
+        await queryInterface.bulkDelete(
+          "person",
+          { id: person.id },
+          { transaction }
+        );
+      }
+
+      await queryInterface.addIndex("person", ["email"], {
+        name: INDEX_NAME,
+        unique: true,
+        transaction,
+      });
+    });
+  },
+
+  // As pessoas removidas como duplicadas não voltam; os dados estão no audit_log
+  async down(queryInterface) {
+    await queryInterface.removeIndex("person", INDEX_NAME);
+  },
+};
@@ -0,0 +1,37 @@
+// Perfis de importação: opções de upload salvas por fonte de dados
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("import_profile", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      description: {
+        type: Sequelize.TEXT,
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("import_profile");
+  },
+};
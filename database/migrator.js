@@ -0,0 +1,31 @@
+const path = require("path");
+const { Sequelize } = require("sequelize");
+const { Umzug, SequelizeStorage } = require("umzug");
+const sequelize = require("./config");
+
+// As migrations seguem a assinatura do sequelize-cli: up(queryInterface, Sequelize)
+const migrator = new Umzug({
+  migrations: {
+    glob: path.join(__dirname, "migrations", "*.js"),
+    resolve: ({ name, path: migrationPath, context }) => {
+      const migration = require(migrationPath);
+      return {
+        name,
+        up: () => migration.up(context, Sequelize),
+        down: () => migration.down(context, Sequelize),
+      };
+    },
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize, tableName: "schema_migrations" }),
+  // Nos testes o progresso das migrations não é impresso
+  logger: process.env.NODE_ENV === "test" ? undefined : console,
+});
+
+// Nomes das migrations que ainda não foram aplicadas no banco
+async function pendingMigrations() {
+  const pending = await migrator.pending();
+  return pending.map(({ name }) => name);
+}
+
+module.exports = { migrator, pendingMigrations };
@@ -0,0 +1,43 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config");
+
+// Registro permanente de operações destrutivas, como desfazer uma importação
+const AuditLog = sequelize.define(
+  "AuditLog",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    entityType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    entityId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    performedBy: {
+      type: DataTypes.STRING,
+    },
+    details: {
+      type: DataTypes.JSON,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "audit_log",
+    timestamps: false,
+  }
+);
+
+module.exports = AuditLog;
@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config");
+const { IMPORT_STATES } = require("../../config/import");
+
+// Cada upload gravado no banco; as linhas de Person apontam para o lote pelo importBatchId
+const ImportBatch = sequelize.define(
+  "ImportBatch",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    state: {
+      type: DataTypes.ENUM(...IMPORT_STATES),
+      allowNull: false,
+      defaultValue: "running",
+    },
+    originalFilename: {
+      type: DataTypes.STRING,
+    },
+    sha256: {
+      type: DataTypes.STRING(64),
+    },
+    uploader: {
+      type: DataTypes.STRING,
+    },
+    options: {
+      type: DataTypes.JSON,
+    },
+    rowsRead: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    inserted: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    updated: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    unchanged: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    rejected: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+    },
+    // Preenchido quando a importação é desfeita
+    rolledBackAt: {
+      type: DataTypes.DATE,
+    },
+  },
+  {
+    tableName: "import_batch",
+    timestamps: false,
+  }
+);
+
+module.exports = ImportBatch;
@@ -0,0 +1,40 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config");
+
+// Valores anteriores de cada pessoa alterada por um upsert, para desfazer a importação
+const ImportChange = sequelize.define(
+  "ImportChange",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    importBatchId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    personId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    sourceLine: {
+      type: DataTypes.INTEGER,
+    },
+    previousValues: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    changedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "import_change",
+    timestamps: false,
+  }
+);
+
+module.exports = ImportChange;
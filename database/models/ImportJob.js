@@ -0,0 +1,71 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config");
+const { JOB_STATES } = require("../../config/import");
+
+const ImportJob = sequelize.define(
+  "ImportJob",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    state: {
+      type: DataTypes.ENUM(...JOB_STATES),
+      allowNull: false,
+      defaultValue: "queued",
+    },
+    fileName: {
+      type: DataTypes.STRING,
+    },
+    uploader: {
+      type: DataTypes.STRING,
+    },
+    // Arquivo temporário do multer, removido quando o job termina
+    filePath: {
+      type: DataTypes.STRING,
+    },
+    options: {
+      type: DataTypes.JSON,
+    },
+    rowsRead: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    inserted: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    rejected: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    errors: {
+      type: DataTypes.JSON,
+    },
+    // Relatório final, no mesmo formato da resposta síncrona do upload
+    report: {
+      type: DataTypes.JSON,
+    },
+    queuedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+    },
+  },
+  {
+    tableName: "import_job",
+    timestamps: false,
+  }
+);
+
+module.exports = ImportJob;
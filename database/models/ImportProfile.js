@@ -0,0 +1,38 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config");
+
+// Combinação de opções de importação salva para uma fonte de dados.
+// `options` guarda as mesmas opções do formulário de upload (ver importOptions).
+const ImportProfile = sequelize.define(
+  "ImportProfile",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    options: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+    },
+  },
+  {
+    tableName: "import_profile",
+    // Perfis são editados; updatedAt mostra quando mudaram pela última vez
+    timestamps: true,
+  }
+);
+
+module.exports = ImportProfile;
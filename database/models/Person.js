@@ -1,5 +1,7 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config");
+const personConfig = require("../../config/person");
+const { normalizeEmail } = require("../../utils/normalizeEmail");
 
 const Person = sequelize.define(
   "Person",
@@ -11,13 +13,31 @@ const Person = sequelize.define(
     age: {
       type: DataTypes.INTEGER,
       allowNull: false,
+      // Mesmas regras aplicadas às linhas do CSV (utils/validateRecord)
+      validate: {
+        isInt: true,
+        min: personConfig.age.min,
+        max: personConfig.age.max,
+      },
     },
     email: {
       type: DataTypes.STRING,
       allowNull: false,
+      unique: true, // Índice único criado pela migration 20261019000005
       validate: {
         isEmail: true,
       },
+      // Grava sempre a forma canônica, para que o índice único compare endereços
+      set(value) {
+        this.setDataValue("email", normalizeEmail(value));
+      },
+    },
+    // Procedência: lote de importação e linha do arquivo que criaram o registro
+    importBatchId: {
+      type: DataTypes.UUID,
+    },
+    sourceLine: {
+      type: DataTypes.INTEGER,
     },
   },
   {
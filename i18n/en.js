@@ -0,0 +1,78 @@
+// English messages, keyed by the stable code returned by the API
+module.exports = {
+  IMPORT_COMPLETED: "Data imported successfully.",
+  DRY_RUN_COMPLETED: "Dry run finished. No data was written.",
+  IMPORT_QUEUED: "Import queued.",
+  IMPORT_ROLLED_BACK: "Import rolled back.",
+
+  INTERNAL_ERROR: "Internal server error.",
+  DATABASE_ERROR: "Database error.",
+  ROUTE_NOT_FOUND: "Route not found: {method} {path}",
+  INVALID_JSON: "The request body is not valid JSON.",
+  BODY_TOO_LARGE: "The request body is too large.",
+  VALIDATION_ERROR: "Invalid data.",
+
+  FILE_REQUIRED: "A CSV file is required.",
+  INVALID_UPLOAD: "Invalid upload: {reason}",
+  INVALID_DELIMITER: "Invalid delimiter. Use comma, semicolon, tab or pipe.",
+  UNSUPPORTED_ENCODING: "Unsupported encoding: {encoding}",
+  INVALID_BATCH_SIZE:
+    "batchSize must be an integer between 1 and the allowed maximum.",
+  INVALID_MODE: "mode must be insert-only, upsert or skip-existing.",
+  INVALID_NATURAL_KEY:
+    "naturalKey must list Person attributes: name, age, email.",
+  INVALID_DEDUP_KEY: "dedupKey must list Person attributes: name, age, email.",
+  INVALID_ROW_STEPS: "steps must list pipeline steps: {steps}.",
+  INVALID_STEP_OPTIONS:
+    'stepOptions must be an object { "step": { options } } using the steps {steps}.',
+  UNKNOWN_PROFILE: "Unknown import profile: {profile}",
+  INVALID_PROFILE_OPTIONS:
+    "options must be an object with import options: {options}.",
+  INVALID_HEADER_ROW: "headerRow must be an integer greater than zero.",
+  SHEET_NOT_FOUND: 'Sheet "{sheet}" not found. Sheets in the file: {sheets}.',
+  INVALID_BULK_BODY:
+    "Send a JSON array or NDJSON (Content-Type application/x-ndjson).",
+  INVALID_MAPPING_JSON: "The mapping field must be valid JSON.",
+  INVALID_MAPPING_FORMAT:
+    'The mapping field must be an object { "header": "attribute" }.',
+  UNKNOWN_MAPPING_FIELD: "Unknown attribute in mapping: {field}",
+  INVALID_COLUMNS: "Invalid columns. Use {columns}.",
+  INVALID_INTEGER: "{name} must be an integer.",
+  INVALID_SORT_FIELD: "Cannot sort by {field}. Use {fields}.",
+  INVALID_PAGINATION:
+    "page must be greater than zero and pageSize between 1 and {max}.",
+  INVALID_STATE: "state must be one of: {states}.",
+
+  FILE_TOO_LARGE: "The file exceeds the {limit} byte limit.",
+  UNSUPPORTED_FILE_TYPE: "Unsupported file type. Send {extensions}.",
+  NOT_A_TEXT_FILE: "The uploaded file is not a CSV text file.",
+  INVALID_WORKBOOK: "The uploaded workbook could not be read.",
+  TOO_MANY_ROWS: "The file exceeds the {limit} row limit.",
+  FIELD_TOO_LONG:
+    'Column "{column}" on line {line} exceeds the {limit} character limit.',
+
+  DUPLICATE_UPLOAD:
+    "This file has already been imported. Send force=true to import it again.",
+  NO_VALID_ROWS: "No valid rows found in the CSV file.",
+  IMPORT_SAVE_FAILED: "Failed to save the data to the database.",
+  ALREADY_ROLLED_BACK: "This import has already been rolled back.",
+  IMPORT_RUNNING: "The import is still running.",
+  JOB_INTERRUPTED: "The import was interrupted by a server restart.",
+
+  PERSON_NOT_FOUND: "Person not found.",
+  PROFILE_NOT_FOUND: "Import profile not found.",
+  JOB_NOT_FOUND: "Job not found.",
+  IMPORT_NOT_FOUND: "Import not found.",
+
+  DUPLICATE_VALUE: "A record with this value already exists.",
+  ALREADY_EXISTS: "The {field} value is already registered.",
+  REPORT_NOT_FOUND: "Report not found.",
+
+  MISSING_FIELD: "The {field} field is required.",
+  DUPLICATE_IN_FILE: "Duplicate row in the file.",
+  INVALID_EMAIL: "Invalid email address.",
+  INVALID_AGE: "Invalid age: use a whole number.",
+  AGE_OUT_OF_RANGE: "Age must be between {min} and {max}.",
+  INVALID_FIELD: "Invalid value in the {field} field.",
+  MALFORMED_ROW: "The item is not a valid JSON object.",
+};
@@ -0,0 +1,48 @@
+const catalogs = {
+  "pt-BR": require("./pt-BR"),
+  en: require("./en"),
+};
+
+const DEFAULT_LANGUAGE = "pt-BR";
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+/**
+ * Resolve um idioma pedido ("en", "en-US", "pt", "PT-br") para um dos
+ * catálogos. Retorna null quando não há catálogo para ele.
+ */
+function resolveLanguage(value) {
+  if (!value) {
+    return null;
+  }
+
+  const requested = String(value).trim().toLowerCase();
+  const [prefix] = requested.split("-");
+
+  return (
+    SUPPORTED_LANGUAGES.find((lang) => lang.toLowerCase() === requested) ||
+    SUPPORTED_LANGUAGES.find(
+      (lang) => lang.toLowerCase().split("-")[0] === prefix
+    ) ||
+    null
+  );
+}
+
+/**
+ * Mensagem do código no idioma pedido, com os `{parâmetros}` preenchidos.
+ * Sem tradução, usa o idioma padrão e, por fim, o próprio código.
+ */
+function translate(lang, code, params = {}) {
+  const template =
+    catalogs[lang]?.[code] ?? catalogs[DEFAULT_LANGUAGE][code] ?? code;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  translate,
+};
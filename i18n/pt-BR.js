@@ -0,0 +1,90 @@
+// Mensagens em português, indexadas pelo código estável devolvido na API
+module.exports = {
+  // Respostas de sucesso
+  IMPORT_COMPLETED: "Dados inseridos com sucesso!",
+  DRY_RUN_COMPLETED: "Simulação concluída. Nenhum dado foi inserido.",
+  IMPORT_QUEUED: "Importação enfileirada.",
+  IMPORT_ROLLED_BACK: "Importação desfeita.",
+
+  // Erros gerais
+  INTERNAL_ERROR: "Erro interno do servidor.",
+  DATABASE_ERROR: "Erro ao acessar o banco de dados.",
+  ROUTE_NOT_FOUND: "Rota não encontrada: {method} {path}",
+  INVALID_JSON: "O corpo da requisição não é um JSON válido.",
+  BODY_TOO_LARGE: "O corpo da requisição é grande demais.",
+  VALIDATION_ERROR: "Dados inválidos.",
+
+  // Parâmetros da requisição
+  FILE_REQUIRED: "Arquivo CSV é obrigatório!",
+  INVALID_UPLOAD: "Upload inválido: {reason}",
+  INVALID_DELIMITER:
+    "Delimitador inválido. Use vírgula, ponto e vírgula, tab ou pipe.",
+  UNSUPPORTED_ENCODING: "Codificação não suportada: {encoding}",
+  INVALID_BATCH_SIZE:
+    "batchSize deve ser um inteiro entre 1 e o máximo permitido.",
+  INVALID_MODE: "mode deve ser insert-only, upsert ou skip-existing.",
+  INVALID_NATURAL_KEY:
+    "naturalKey deve listar atributos de Person: name, age, email.",
+  INVALID_DEDUP_KEY:
+    "dedupKey deve listar atributos de Person: name, age, email.",
+  INVALID_ROW_STEPS: "steps deve listar passos do pipeline: {steps}.",
+  INVALID_STEP_OPTIONS:
+    'stepOptions deve ser um objeto { "passo": { opções } } com os passos {steps}.',
+  UNKNOWN_PROFILE: "Perfil de importação desconhecido: {profile}",
+  INVALID_PROFILE_OPTIONS:
+    "options deve ser um objeto com as opções de importação: {options}.",
+  INVALID_HEADER_ROW: "headerRow deve ser um inteiro maior que zero.",
+  SHEET_NOT_FOUND:
+    'Planilha "{sheet}" não encontrada. Abas do arquivo: {sheets}.',
+  INVALID_BULK_BODY:
+    "Envie um array JSON ou NDJSON (Content-Type application/x-ndjson).",
+  INVALID_MAPPING_JSON: "O campo mapping deve ser um JSON válido.",
+  INVALID_MAPPING_FORMAT:
+    'O campo mapping deve ser um objeto { "cabeçalho": "atributo" }.',
+  UNKNOWN_MAPPING_FIELD: "Atributo desconhecido no mapping: {field}",
+  INVALID_COLUMNS: "Colunas inválidas. Use {columns}.",
+  INVALID_INTEGER: "{name} deve ser um número inteiro.",
+  INVALID_SORT_FIELD: "Não é possível ordenar por {field}. Use {fields}.",
+  INVALID_PAGINATION:
+    "page deve ser maior que zero e pageSize estar entre 1 e {max}.",
+  INVALID_STATE: "state deve ser um destes: {states}.",
+
+  // Limites do arquivo
+  FILE_TOO_LARGE: "O arquivo passa do limite de {limit} bytes.",
+  UNSUPPORTED_FILE_TYPE:
+    "Formato de arquivo não suportado. Envie {extensions}.",
+  NOT_A_TEXT_FILE: "O arquivo enviado não é um texto CSV.",
+  INVALID_WORKBOOK: "Não foi possível ler a planilha enviada.",
+  TOO_MANY_ROWS: "O arquivo passa do limite de {limit} linhas.",
+  FIELD_TOO_LONG:
+    'A coluna "{column}" da linha {line} passa do limite de {limit} caracteres.',
+
+  // Importações
+  DUPLICATE_UPLOAD:
+    "Este arquivo já foi importado. Envie force=true para importá-lo novamente.",
+  NO_VALID_ROWS: "Nenhum dado válido encontrado no arquivo CSV.",
+  IMPORT_SAVE_FAILED: "Erro ao salvar os dados no banco de dados.",
+  ALREADY_ROLLED_BACK: "Esta importação já foi desfeita.",
+  IMPORT_RUNNING: "A importação ainda está em andamento.",
+  JOB_INTERRUPTED: "Importação interrompida pelo reinício do servidor.",
+
+  // Recursos inexistentes
+  PERSON_NOT_FOUND: "Pessoa não encontrada.",
+  PROFILE_NOT_FOUND: "Perfil de importação não encontrado.",
+  JOB_NOT_FOUND: "Job não encontrado.",
+  IMPORT_NOT_FOUND: "Importação não encontrada.",
+
+  // Conflitos com registros existentes
+  DUPLICATE_VALUE: "Já existe um cadastro com este valor.",
+  ALREADY_EXISTS: "O valor do campo {field} já está cadastrado.",
+  REPORT_NOT_FOUND: "Relatório não encontrado.",
+
+  // Motivos de rejeição de linhas e de campos inválidos
+  MISSING_FIELD: "O campo {field} é obrigatório.",
+  DUPLICATE_IN_FILE: "Linha repetida no arquivo.",
+  INVALID_EMAIL: "E-mail inválido.",
+  INVALID_AGE: "Idade inválida: use um número inteiro.",
+  AGE_OUT_OF_RANGE: "A idade deve estar entre {min} e {max}.",
+  INVALID_FIELD: "Valor inválido no campo {field}.",
+  MALFORMED_ROW: "O item não é um objeto JSON válido.",
+};
@@ -0,0 +1,12 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os relatórios de rejeitados gravados pelos testes vão para uma pasta
+// temporária, apagada ao fim de cada arquivo de teste
+const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+process.env.REPORTS_DIR = reportsDir;
+
+afterAll(() => {
+  fs.rmSync(reportsDir, { recursive: true, force: true });
+});
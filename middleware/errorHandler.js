@@ -0,0 +1,100 @@
+const {
+  BaseError,
+  UniqueConstraintError,
+  ValidationError: SequelizeValidationError,
+} = require("sequelize");
+const {
+  AppError,
+  ConflictError,
+  DatabaseError,
+  NotFoundError,
+  PayloadError,
+  ValidationError,
+  statusOf,
+} = require("../utils/errors");
+const { reasonFromValidationItem } = require("../utils/validateRecord");
+const { DEFAULT_LANGUAGE, translate } = require("../i18n");
+
+// Converte erros do Sequelize e do body-parser para os tipos da aplicação
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Vem antes do ValidationError, do qual o UniqueConstraintError herda
+  if (error instanceof UniqueConstraintError) {
+    return new ConflictError("DUPLICATE_VALUE", {
+      details: error.errors.map(({ path }) => ({
+        field: path,
+        reason: "ALREADY_EXISTS",
+      })),
+    });
+  }
+
+  if (error instanceof SequelizeValidationError) {
+    return new ValidationError("VALIDATION_ERROR", {
+      details: error.errors.map(reasonFromValidationItem),
+    });
+  }
+
+  if (error instanceof BaseError) {
+    return new DatabaseError("DATABASE_ERROR", { cause: error });
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("INVALID_JSON");
+  }
+
+  if (error.type === "entity.too.large") {
+    return new PayloadError(413, "BODY_TOO_LARGE");
+  }
+
+  return new AppError("INTERNAL_ERROR", { cause: error });
+}
+
+// Itens de `details` com `reason` ganham a mensagem traduzida do motivo
+function translateDetails(details, t) {
+  if (!Array.isArray(details)) {
+    return details;
+  }
+
+  return details.map((item) =>
+    item?.reason ? { ...item, message: t(item.reason, item) } : item
+  );
+}
+
+// Rotas inexistentes respondem 404 no mesmo formato dos demais erros
+function notFound(req, res, next) {
+  next(
+    new NotFoundError("ROUTE_NOT_FOUND", {
+      params: { method: req.method, path: req.path },
+    })
+  );
+}
+
+// O Express reconhece o middleware de erros pelos quatro parâmetros
+function errorHandler(error, req, res, next) {
+  const appError = toAppError(error);
+  const status = statusOf(appError);
+
+  if (status >= 500) {
+    console.error(`Erro na requisição ${req.id}:`, appError.cause || error);
+  }
+
+  // A resposta já começou (por exemplo, no meio de uma exportação em stream):
+  // não há como enviar o JSON, resta interromper a conexão
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+
+  const t =
+    req.t || ((code, params) => translate(DEFAULT_LANGUAGE, code, params));
+  res.status(status).json({
+    code: appError.code,
+    message: t(appError.code, appError.params),
+    details: translateDetails(appError.details, t),
+    requestId: req.id,
+  });
+}
+
+module.exports = { errorHandler, notFound };
@@ -0,0 +1,24 @@
+const {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  translate,
+} = require("../i18n");
+
+/**
+ * Escolhe o idioma das mensagens: `?lang=` tem prioridade sobre o
+ * Accept-Language. Disponibiliza `req.lang` e `req.t(código, parâmetros)`.
+ */
+function locale(req, res, next) {
+  req.lang =
+    resolveLanguage(req.query.lang) ||
+    (req.get("Accept-Language") &&
+      resolveLanguage(req.acceptsLanguages(...SUPPORTED_LANGUAGES))) ||
+    DEFAULT_LANGUAGE;
+  req.t = (code, params) => translate(req.lang, code, params);
+
+  res.set("Content-Language", req.lang);
+  next();
+}
+
+module.exports = { locale };
@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+// Aceita o id enviado por um proxy, desde que seja curto e sem caracteres estranhos
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Identifica cada requisição nos logs e nas respostas de erro
+function requestId(req, res, next) {
+  const received = req.get("X-Request-Id");
+  req.id =
+    received && REQUEST_ID_PATTERN.test(received)
+      ? received
+      : crypto.randomUUID();
+
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = { requestId };
@@ -1,82 +1,397 @@
 const express = require("express");
 const multer = require("multer");
-const csv = require("csv-parser");
 const fs = require("fs");
+const { Readable } = require("stream");
+const { resolveDelimiter } = require("../utils/csvDialect");
+const { getRejectionReportPath } = require("../utils/rejectionReport");
+const { hashFile } = require("../utils/fileHash");
+const { discardUpload, isServerFailure } = require("../utils/uploadFiles");
+const { fileFilter } = require("../utils/uploadLimits");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  ConflictError,
+  NotFoundError,
+  PayloadError,
+  ValidationError,
+} = require("../utils/errors");
+const uploadConfig = require("../config/uploads");
+const { JOB_STATES } = require("../config/import");
+const { isUuid, parseBoolean } = require("../utils/requestOptions");
+const { parseImportOptions } = require("../utils/importOptions");
+const { formatReport, sendImportReport } = require("../utils/importReport");
+const { checkCsvLimits, importCsv } = require("../services/csvImport");
+const { createImportJob } = require("../services/importJobs");
+const { rollbackImport } = require("../services/importRollback");
+const {
+  EXPORTABLE_COLUMNS,
+  exportPeopleCsv,
+  resolveColumns,
+} = require("../services/personExport");
+const ImportJob = require("../database/models/ImportJob");
+const ImportBatch = require("../database/models/ImportBatch");
+const ImportProfile = require("../database/models/ImportProfile");
 const Person = require("../database/models/Person");
+const { buildPersonWhere, parsePagination } = require("../utils/personQuery");
+const profileRoutes = require("./profileRoutes");
 
 const router = express.Router();
 
+// Perfis de importação salvos (ver profileRoutes)
+router.use("/profiles", profileRoutes);
+
 // Configuração do Multer para upload de arquivos
-const upload = multer({ dest: "uploads/" });
+const upload = multer({
+  dest: uploadConfig.dir,
+  limits: { fileSize: uploadConfig.maxFileSize },
+  fileFilter,
+});
 
-// Rota para fazer upload de um arquivo CSV e salvar os dados
-router.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "Arquivo CSV é obrigatório!" });
+// Recebe o arquivo, convertendo os erros do Multer para os da aplicação
+function receiveFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") {
+      return next(
+        new PayloadError(413, "FILE_TOO_LARGE", {
+          params: { limit: uploadConfig.maxFileSize },
+          details: { limit: uploadConfig.maxFileSize },
+        })
+      );
     }
 
-    const records = [];
-    const uniqueRecords = new Set();
-
-    fs.createReadStream(req.file.path)
-      .pipe(
-        csv({
-          mapHeaders: ({ header }) => header.trim(), // Normaliza os cabeçalhos
+    if (err instanceof multer.MulterError) {
+      return next(
+        new ValidationError("INVALID_UPLOAD", {
+          params: { reason: err.message },
+          details: { multerCode: err.code },
         })
-      )
-      .on("data", (row) => {
-        console.log("Linha lida do CSV:", row);
-
-        try {
-          // Normaliza os valores
-          const name = row["name"]?.trim();
-          const age = row["age"]?.trim();
-          const email = row["email"]?.trim();
-
-          if (name && age && email) {
-            const recordKey = `${name}|${age}|${email}`;
-            if (!uniqueRecords.has(recordKey)) {
-              records.push({ name, age, email });
-              uniqueRecords.add(recordKey);
-            } else {
-              console.warn("Registro duplicado ignorado:", row);
-            }
-          } else {
-            console.warn("Registro inválido encontrado e ignorado:", row);
-          }
-        } catch (err) {
-          console.warn("Erro ao processar registro:", row, err);
-        }
-      })
-      .on("end", async () => {
-        if (records.length === 0) {
-          fs.unlinkSync(req.file.path);
-          return res
-            .status(400)
-            .json({ error: "Nenhum dado válido encontrado no arquivo CSV." });
-        }
+      );
+    }
+
+    next(err);
+  });
+}
+
+// Erros do job ({ code, params }) com a mensagem no idioma da requisição.
+// Jobs anteriores aos códigos guardavam só a mensagem em português.
+function formatJobError(error, req) {
+  if (typeof error === "string") {
+    return { code: null, message: error };
+  }
+
+  return { ...error, message: req.t(error.code, error.params) };
+}
+
+function formatJob(job, req) {
+  const { filePath, report, ...fields } = job.toJSON();
+  const { startedAt, finishedAt } = fields;
+
+  return {
+    ...fields,
+    errors:
+      fields.errors && fields.errors.map((error) => formatJobError(error, req)),
+    durationMs:
+      startedAt && finishedAt
+        ? new Date(finishedAt) - new Date(startedAt)
+        : null,
+    ...(report !== undefined && {
+      report: report && formatReport(report, req),
+    }),
+  };
+}
+
+// Perfil informado no upload, pelo id ou pelo nome; null se ausente
+async function findProfile(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const profile = await ImportProfile.findOne({
+    where: /^\d+$/.test(value) ? { id: Number(value) } : { name: value },
+  });
+  if (!profile) {
+    throw new ValidationError("UNKNOWN_PROFILE", {
+      params: { profile: value },
+    });
+  }
 
-        try {
-          await Person.bulkCreate(records);
-          fs.unlinkSync(req.file.path);
-
-          res
-            .status(201)
-            .json({ message: "Dados inseridos com sucesso!", records });
-        } catch (dbError) {
-          console.error("Erro ao salvar no banco de dados:", dbError);
-          res
-            .status(500)
-            .json({ error: "Erro ao salvar os dados no banco de dados." });
+  return profile;
+}
+
+// Rota para fazer upload de um arquivo CSV e salvar os dados
+router.post(
+  "/upload",
+  receiveFile,
+  asyncHandler(async (req, res) => {
+    // O arquivo temporário é descartado ao fim da requisição, exceto quando
+    // passa para um job em segundo plano, que cuida dele
+    let handedOff = false;
+    let failed = false;
+
+    try {
+      if (!req.file) {
+        throw new ValidationError("FILE_REQUIRED");
+      }
+
+      // Campos do formulário (ou da query string) sobrescrevem os do perfil
+      const fields = { ...req.query, ...req.body };
+      const profile = await findProfile(fields.profile);
+
+      // Simulação: valida tudo, inclusive no modelo, mas não grava nada
+      const dryRun = parseBoolean(fields.dryRun);
+
+      const options = {
+        ...(profile && parseImportOptions(profile.options)),
+        ...parseImportOptions(fields),
+        ...(profile && { profile: profile.name }),
+        dryRun,
+      };
+
+      // Arquivos que passam dos limites são recusados antes de gravar qualquer
+      // lote. Em segundo plano a verificação, que lê o arquivo inteiro, fica
+      // para o job (ver importJobs)
+      const runInBackground = parseBoolean(fields.async);
+      if (!runInBackground) {
+        await checkCsvLimits(req.file.path, options);
+      }
+
+      // Quem enviou o arquivo fica registrado no ImportBatch
+      const uploader = req.body?.uploader || req.get("X-Uploaded-By") || null;
+
+      // O mesmo conteúdo já importado com sucesso é recusado, salvo com force=true.
+      // Importações desfeitas ou sem nenhuma linha aceita (state "failed") não contam.
+      const sha256 = await hashFile(req.file.path);
+      const force = parseBoolean(fields.force);
+      if (!dryRun && !force) {
+        const previous = await ImportBatch.findOne({
+          where: { sha256, state: "completed", rolledBackAt: null },
+          order: [["startedAt", "DESC"]],
+        });
+
+        if (previous) {
+          throw new ConflictError("DUPLICATE_UPLOAD", {
+            details: {
+              importBatchId: previous.id,
+              import: `${req.baseUrl}/imports/${previous.id}`,
+            },
+          });
         }
-      });
-  } catch (error) {
-    console.error("Erro ao processar o arquivo CSV:", error);
-    res.status(500).json({ error: "Erro ao processar o arquivo CSV." });
+      }
+
+      // Em segundo plano: responde 202 e o progresso fica em /jobs/:id
+      if (runInBackground) {
+        const job = await createImportJob(req.file, options, { uploader });
+        handedOff = true;
+        return res.status(202).json({
+          code: "IMPORT_QUEUED",
+          message: req.t("IMPORT_QUEUED"),
+          jobId: job.id,
+          status: `${req.baseUrl}/jobs/${job.id}`,
+        });
+      }
+
+      await sendImportReport(
+        req,
+        res,
+        () =>
+          importCsv(req.file.path, options, {
+            fileName: req.file.originalname,
+            uploader,
+            sha256,
+          }),
+        { dryRun }
+      );
+    } catch (error) {
+      failed = isServerFailure(error);
+      throw error;
+    } finally {
+      if (req.file && !handedOff) {
+        await discardUpload(req.file.path, { failed }).catch((error) =>
+          console.error("Erro ao descartar o arquivo enviado:", error)
+        );
+      }
+    }
+  })
+);
+
+// Rota para exportar a tabela Person em CSV, com os mesmos filtros de /api/people
+router.get("/export", (req, res, next) => {
+  const delimiter = resolveDelimiter(req.query.delimiter);
+  if (delimiter === undefined) {
+    throw new ValidationError("INVALID_DELIMITER");
+  }
+
+  const columns = resolveColumns(req.query.columns);
+  if (columns === undefined) {
+    throw new ValidationError("INVALID_COLUMNS", {
+      params: { columns: EXPORTABLE_COLUMNS.join(", ") },
+    });
+  }
+
+  const where = buildPersonWhere(req.query);
+
+  res.attachment("pessoas.csv");
+  res.type("text/csv; charset=utf-8");
+
+  Readable.from(
+    exportPeopleCsv({
+      where,
+      columns: columns || EXPORTABLE_COLUMNS,
+      delimiter: delimiter || ",",
+      bom: parseBoolean(req.query.bom),
+    })
+  )
+    // Os cabeçalhos já foram enviados; o middleware de erros interrompe a resposta
+    .on("error", next)
+    .pipe(res);
+});
+
+// Filtro `state` das listagens; valores fora do ENUM do modelo respondem 400
+function parseStateFilter(value, states) {
+  if (value === undefined || value === "") {
+    return {};
+  }
+
+  if (!states.includes(value)) {
+    throw new ValidationError("INVALID_STATE", {
+      params: { states: states.join(", ") },
+    });
+  }
+
+  return { state: value };
+}
+
+// Rota para listar os jobs de importação, do mais recente para o mais antigo
+router.get(
+  "/jobs",
+  asyncHandler(async (req, res) => {
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+
+    const jobs = await ImportJob.findAll({
+      where: parseStateFilter(req.query.state, JOB_STATES),
+      attributes: { exclude: ["report"] },
+      order: [["queuedAt", "DESC"]],
+      limit,
+      offset,
+    });
+
+    res.json({
+      jobs: jobs.map((job) => formatJob(job, req)),
+      page,
+      pageSize,
+    });
+  })
+);
+
+// Rota para consultar o andamento de um job de importação
+router.get(
+  "/jobs/:id",
+  asyncHandler(async (req, res) => {
+    const job = isUuid(req.params.id)
+      ? await ImportJob.findByPk(req.params.id)
+      : null;
+    if (!job) {
+      throw new NotFoundError("JOB_NOT_FOUND");
+    }
+
+    res.json(formatJob(job, req));
+  })
+);
+
+// Rota para listar as importações gravadas, da mais recente para a mais antiga
+router.get(
+  "/imports",
+  asyncHandler(async (req, res) => {
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+
+    const imports = await ImportBatch.findAll({
+      order: [["startedAt", "DESC"]],
+      limit,
+      offset,
+    });
+
+    res.json({ imports, page, pageSize });
+  })
+);
+
+// Busca a importação da rota ou responde 404
+async function findImport(req) {
+  const importBatch = isUuid(req.params.id)
+    ? await ImportBatch.findByPk(req.params.id)
+    : null;
+  if (!importBatch) {
+    throw new NotFoundError("IMPORT_NOT_FOUND");
   }
+
+  return importBatch;
+}
+
+// Rota para consultar uma importação
+router.get(
+  "/imports/:id",
+  asyncHandler(async (req, res) => {
+    res.json(await findImport(req));
+  })
+);
+
+// Rota para listar as pessoas criadas por uma importação, na ordem do arquivo
+router.get(
+  "/imports/:id/rows",
+  asyncHandler(async (req, res) => {
+    const importBatch = await findImport(req);
+
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+    const { rows, count } = await Person.findAndCountAll({
+      where: { importBatchId: importBatch.id },
+      order: [["sourceLine", "ASC"]],
+      limit,
+      offset,
+    });
+
+    res.json({
+      data: rows,
+      page,
+      pageSize,
+      total: count,
+      totalPages: Math.ceil(count / pageSize),
+    });
+  })
+);
+
+// Desfaz uma importação concluída (ver importRollback)
+const handleRollback = asyncHandler(async (req, res) => {
+  const importBatch = await findImport(req);
+
+  if (importBatch.rolledBackAt) {
+    throw new ConflictError("ALREADY_ROLLED_BACK");
+  }
+
+  if (importBatch.state === "running") {
+    throw new ConflictError("IMPORT_RUNNING");
+  }
+
+  const result = await rollbackImport(importBatch, {
+    performedBy: req.body?.performedBy || req.get("X-Performed-By") || null,
+  });
+
+  res.json({
+    code: "IMPORT_ROLLED_BACK",
+    message: req.t("IMPORT_ROLLED_BACK"),
+    ...result,
+  });
 });
 
-module.exports = router;
+router.delete("/imports/:id", handleRollback);
+router.post("/imports/:id/rollback", handleRollback);
+
+// Rota para baixar as linhas rejeitadas de um upload em CSV
+router.get("/rejections/:id", (req, res) => {
+  const reportPath = getRejectionReportPath(req.params.id);
+
+  if (!reportPath || !fs.existsSync(reportPath)) {
+    throw new NotFoundError("REPORT_NOT_FOUND");
+  }
+
+  res.download(reportPath, `rejeitados-${req.params.id}.csv`);
+});
 
 module.exports = router;
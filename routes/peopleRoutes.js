@@ -0,0 +1,157 @@
+const express = require("express");
+const Person = require("../database/models/Person");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+const { REJECTION_REASONS } = require("../utils/validateRecord");
+const { isIntegerId, parseBoolean } = require("../utils/requestOptions");
+const { parseImportOptions } = require("../utils/importOptions");
+const { sendImportReport } = require("../utils/importReport");
+const {
+  createJsonArrayParser,
+  createNdjsonParser,
+} = require("../utils/jsonRows");
+const { importRows } = require("../services/csvImport");
+const {
+  buildPersonOrder,
+  buildPersonWhere,
+  parsePagination,
+} = require("../utils/personQuery");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "age", "email"];
+
+// Apenas os atributos editáveis do corpo; id e campos extras são ignorados
+function pickFields(body = {}) {
+  const fields = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  return fields;
+}
+
+async function findPerson(req) {
+  const person = isIntegerId(req.params.id)
+    ? await Person.findByPk(req.params.id)
+    : null;
+  if (!person) {
+    throw new NotFoundError("PERSON_NOT_FOUND");
+  }
+
+  return person;
+}
+
+// Rota para listar pessoas com paginação, ordenação e filtros
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+
+    const { rows, count } = await Person.findAndCountAll({
+      where: buildPersonWhere(req.query),
+      order: buildPersonOrder(req.query.sort),
+      limit,
+      offset,
+    });
+
+    res.json({
+      data: rows,
+      page,
+      pageSize,
+      total: count,
+      totalPages: Math.ceil(count / pageSize),
+    });
+  })
+);
+
+// Rota para consultar uma pessoa
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    res.json(await findPerson(req));
+  })
+);
+
+// Rota para cadastrar uma pessoa
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const person = await Person.create(pickFields(req.body));
+    res.status(201).json(person);
+  })
+);
+
+// O relatório de rejeitados é baixado pelas rotas de CSV
+const REJECTIONS_PATH = "/api/csv/rejections";
+
+// Rota para cadastrar pessoas em massa a partir de um array JSON ou de NDJSON
+// (application/x-ndjson), com o pipeline e o relatório do upload de CSV.
+// As opções de importação (mode, dedupKey, dryRun...) vão na query string.
+router.post(
+  "/bulk",
+  asyncHandler(async (req, res) => {
+    const dryRun = parseBoolean(req.query.dryRun);
+    const options = { ...parseImportOptions(req.query), dryRun };
+
+    let format;
+    let parser;
+    if (req.is("application/x-ndjson")) {
+      format = "ndjson";
+      parser = createNdjsonParser(req);
+    } else if (Array.isArray(req.body)) {
+      format = "json";
+      parser = createJsonArrayParser(req.body);
+    } else {
+      throw new ValidationError("INVALID_BULK_BODY");
+    }
+
+    const uploader = req.get("X-Uploaded-By") || null;
+    await sendImportReport(
+      req,
+      res,
+      () => importRows(parser, options, { uploader, source: { format } }),
+      { dryRun, rejectionsPath: REJECTIONS_PATH }
+    );
+  })
+);
+
+// PUT substitui o cadastro inteiro; PATCH altera só os campos enviados
+const updatePerson = (replace) =>
+  asyncHandler(async (req, res) => {
+    const person = await findPerson(req);
+
+    const fields = pickFields(req.body);
+    if (replace) {
+      const missing = EDITABLE_FIELDS.filter((f) => fields[f] === undefined);
+      if (missing.length > 0) {
+        throw new ValidationError("VALIDATION_ERROR", {
+          details: missing.map((field) => ({
+            field,
+            reason: REJECTION_REASONS.MISSING_FIELD,
+          })),
+        });
+      }
+    }
+
+    await person.update(fields);
+    res.json(person);
+  });
+
+router.put("/:id", updatePerson(true));
+router.patch("/:id", updatePerson(false));
+
+// Rota para remover uma pessoa
+router.delete(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const person = await findPerson(req);
+    await person.destroy();
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require("express");
+const ImportProfile = require("../database/models/ImportProfile");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+const { REJECTION_REASONS } = require("../utils/validateRecord");
+const { isIntegerId } = require("../utils/requestOptions");
+const {
+  IMPORT_OPTIONS,
+  parseImportOptions,
+} = require("../utils/importOptions");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "description", "options"];
+
+// Valida as opções do perfil com as mesmas regras do upload.
+// Opções que não são de importação (dryRun, force...) são recusadas.
+function parseProfileOptions(options) {
+  const isObject =
+    options !== null && typeof options === "object" && !Array.isArray(options);
+  if (
+    !isObject ||
+    Object.keys(options).some((o) => !IMPORT_OPTIONS.includes(o))
+  ) {
+    throw new ValidationError("INVALID_PROFILE_OPTIONS", {
+      params: { options: IMPORT_OPTIONS.join(", ") },
+    });
+  }
+
+  return parseImportOptions(options);
+}
+
+// Apenas os atributos editáveis do corpo, com as opções já validadas
+function pickFields(body = {}) {
+  const fields = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  if (fields.options !== undefined) {
+    fields.options = parseProfileOptions(fields.options);
+  }
+
+  return fields;
+}
+
+async function findProfile(req) {
+  const profile = isIntegerId(req.params.id)
+    ? await ImportProfile.findByPk(req.params.id)
+    : null;
+  if (!profile) {
+    throw new NotFoundError("PROFILE_NOT_FOUND");
+  }
+
+  return profile;
+}
+
+// Rota para listar os perfis de importação, em ordem alfabética
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const profiles = await ImportProfile.findAll({ order: [["name", "ASC"]] });
+    res.json({ profiles });
+  })
+);
+
+// Rota para consultar um perfil
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    res.json(await findProfile(req));
+  })
+);
+
+// Rota para cadastrar um perfil
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const profile = await ImportProfile.create(pickFields(req.body));
+    res.status(201).json(profile);
+  })
+);
+
+// PUT substitui o perfil inteiro; PATCH altera só os campos enviados e
+// mescla as opções enviadas com as já salvas
+const updateProfile = (replace) =>
+  asyncHandler(async (req, res) => {
+    const profile = await findProfile(req);
+
+    const fields = pickFields(req.body);
+    if (replace) {
+      if (fields.name === undefined) {
+        throw new ValidationError("VALIDATION_ERROR", {
+          details: [{ field: "name", reason: REJECTION_REASONS.MISSING_FIELD }],
+        });
+      }
+
+      fields.description = fields.description ?? null;
+      fields.options = fields.options ?? {};
+    } else if (fields.options) {
+      fields.options = { ...profile.options, ...fields.options };
+    }
+
+    await profile.update(fields);
+    res.json(profile);
+  });
+
+router.put("/:id", updateProfile(true));
+router.patch("/:id", updateProfile(false));
+
+// Rota para remover um perfil; importações já feitas com ele não mudam
+router.delete(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const profile = await findProfile(req);
+    await profile.destroy();
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
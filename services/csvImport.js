@@ -0,0 +1,443 @@
+const { Transform, pipeline } = require("stream");
+const csv = require("csv-parser");
+const Person = require("../database/models/Person");
+const ImportBatch = require("../database/models/ImportBatch");
+const importConfig = require("../config/import");
+const { detectCsvDialect, readSample } = require("../utils/csvDialect");
+const {
+  createDecodedReadStream,
+  decodeSample,
+  detectEncoding,
+} = require("../utils/csvEncoding");
+const { resolveHeaderMapping } = require("../utils/headerMapping");
+const {
+  REJECTION_REASONS,
+  reasonFromValidationError,
+} = require("../utils/validateRecord");
+const { createRowPipeline, processCsvRow } = require("../utils/processCsvRow");
+const { createRejectionReport } = require("../utils/rejectionReport");
+const { hashFile } = require("../utils/fileHash");
+const { looksBinary } = require("../utils/uploadLimits");
+const { createXlsxParser, isXlsx } = require("../utils/xlsxReader");
+const { ROW_REJECTION, SOURCE_LINE } = require("../utils/rowSource");
+const { PayloadError } = require("../utils/errors");
+const { writeBatch } = require("./personWriter");
+
+// Planilhas e JSON não têm dialeto; o relatório de rejeitados sai como CSV
+// com BOM, que o Excel abre direto
+const DEFAULT_REJECTION_DIALECT = { delimiter: ",", bom: true };
+
+// Identifica o formato e, nos CSV, a codificação e o dialeto a partir do
+// início do arquivo. As linhas antes do cabeçalho (`headerRow`) não contam.
+function inspectFile(filePath, { delimiter, encoding, headerRow = 1 }) {
+  const sample = readSample(filePath);
+  if (isXlsx(sample)) {
+    return { format: "xlsx", encoding: null, dialect: null };
+  }
+
+  const detectedEncoding = detectEncoding(sample);
+  const encodingName = encoding || detectedEncoding.encoding;
+  const detected = detectCsvDialect(
+    decodeSample(sample, encodingName)
+      .split(/\r?\n/)
+      .slice(headerRow - 1)
+      .join("\n")
+  );
+
+  return {
+    format: "csv",
+    encoding: {
+      name: encodingName,
+      source: encoding ? "override" : "detected",
+    },
+    dialect: {
+      delimiter: delimiter || detected.delimiter,
+      bom: detectedEncoding.bom,
+      source: delimiter
+        ? "override"
+        : detected.detected
+        ? "detected"
+        : "default",
+    },
+  };
+}
+
+// Stream de linhas { cabeçalho: texto } do arquivo, seja CSV ou planilha
+function createParser(
+  filePath,
+  { format, encoding, dialect },
+  { sheet = null, headerRow = 1 } = {}
+) {
+  if (format === "xlsx") {
+    return createXlsxParser(filePath, { sheet, headerRow });
+  }
+
+  const source = createDecodedReadStream(filePath, {
+    encoding: encoding.name,
+    bom: dialect.bom,
+  });
+  const parser = csv({
+    separator: dialect.delimiter,
+    skipLines: headerRow - 1,
+    mapHeaders: ({ header }) => header.trim(), // Normaliza os cabeçalhos
+  });
+
+  // O csv-parser não informa a linha de cada registro. Ele entrega um por
+  // linha do arquivo, inclusive as em branco, salvo quando um campo entre
+  // aspas tem quebras de linha: essas são somadas para o próximo registro.
+  let nextLine = headerRow + 1;
+  const numbered = new Transform({
+    objectMode: true,
+    transform(row, _encoding, callback) {
+      row[SOURCE_LINE] = nextLine;
+      nextLine += 1;
+      for (const value of Object.values(row)) {
+        nextLine += value.split("\n").length - 1;
+      }
+      callback(null, row);
+    },
+  });
+  parser.on("headers", (headers) => numbered.emit("headers", headers));
+
+  // Interromper a leitura também fecha o arquivo
+  return pipeline(source, parser, numbered, () => {});
+}
+
+/**
+ * Percorre o arquivo sem gravar nada, antes da importação, e lança um
+ * PayloadError se ele não for texto nem planilha, passar de `maxRows` linhas
+ * ou tiver algum campo maior que `maxFieldLength` caracteres. Assim nenhum
+ * lote é gravado de um arquivo que seria recusado no meio do caminho.
+ * Em planilhas, também recusa uma `sheet` inexistente.
+ */
+async function checkCsvLimits(
+  filePath,
+  { delimiter = null, encoding = null, sheet = null, headerRow = 1 } = {},
+  {
+    maxRows = importConfig.maxRows,
+    maxFieldLength = importConfig.maxFieldLength,
+  } = {}
+) {
+  const inspected = inspectFile(filePath, { delimiter, encoding, headerRow });
+  if (
+    inspected.format === "csv" &&
+    looksBinary(readSample(filePath), { encoding: inspected.encoding.name })
+  ) {
+    throw new PayloadError(415, "NOT_A_TEXT_FILE");
+  }
+
+  let rows = 0;
+  const parser = createParser(filePath, inspected, { sheet, headerRow });
+  for await (const row of parser) {
+    rows++;
+    if (rows > maxRows) {
+      const details = { limit: maxRows };
+      throw new PayloadError(422, "TOO_MANY_ROWS", {
+        params: details,
+        details,
+      });
+    }
+
+    for (const [column, value] of Object.entries(row)) {
+      if (value.length > maxFieldLength) {
+        const line = row[SOURCE_LINE] ?? headerRow + rows;
+        const details = { line, column, limit: maxFieldLength };
+        throw new PayloadError(422, "FIELD_TOO_LONG", {
+          params: details,
+          details,
+        });
+      }
+    }
+  }
+
+  return { rows };
+}
+
+// Roda os validadores do modelo Person sem tocar no banco.
+// Os que falharem vão para o relatório de rejeitados; retorna os que passaram.
+async function validateBatch(batch, reject) {
+  const valid = [];
+
+  for (const entry of batch) {
+    try {
+      await Person.build(entry.record).validate();
+      valid.push(entry);
+    } catch (err) {
+      if (err.name !== "SequelizeValidationError") {
+        throw err;
+      }
+
+      reject(entry.row, reasonFromValidationError(err), entry.line);
+    }
+  }
+
+  return valid;
+}
+
+// Contagens finais gravadas no ImportBatch
+function batchFields({ counts }, state) {
+  return {
+    state,
+    rowsRead: counts.read,
+    inserted: counts.inserted,
+    updated: counts.updated,
+    unchanged: counts.unchanged,
+    rejected: counts.rejected,
+    finishedAt: new Date(),
+  };
+}
+
+/**
+ * Importa para a tabela Person as linhas de `parser`, um stream de objetos
+ * { coluna: valor } que emite "headers" antes da primeira linha (o csv-parser
+ * ou os leitores de planilha e JSON). Grava em lotes de `batchSize`, e a
+ * leitura fica pausada enquanto cada lote é gravado, então o consumo de
+ * memória não depende do tamanho da entrada. Com `dryRun` os lotes passam
+ * pela validação do modelo em vez de serem gravados. `mode` e `naturalKey`
+ * decidem o que fazer com pessoas já cadastradas (ver personWriter).
+ *
+ * Cada linha passa pelo pipeline de utils/processCsvRow: `steps` escolhe os
+ * passos habilitados e `stepOptions` traz as opções de cada um. `dedupKey`
+ * define quais atributos tornam uma linha repetida dentro da própria entrada.
+ * Linhas com ROW_REJECTION (ver rowSource) são recusadas sem passar por ele.
+ *
+ * Fora do dryRun a importação é registrada como um ImportBatch, e cada pessoa
+ * criada guarda o id do lote e a linha de onde veio: SOURCE_LINE, se o leitor
+ * informar, ou a contagem a partir de `firstLine`. `fileName` e `uploader`
+ * identificam o envio no lote; `source` traz os campos do relatório que
+ * descrevem a entrada (formato, hash, codificação...).
+ *
+ * `onBatch` é chamado ao fim de cada lote com o progresso e o relatório.
+ * Se um lote ou a leitura falhar (ex.: um NDJSON acima do limite de linhas),
+ * o erro é lançado com o relatório parcial em `error.report`.
+ */
+async function importRows(
+  parser,
+  options = {},
+  { onBatch, fileName = null, uploader = null, source = {}, firstLine = 0 } = {}
+) {
+  const {
+    mapping = null,
+    dryRun = false,
+    batchSize = importConfig.batchSize,
+    mode = importConfig.mode,
+    naturalKey = importConfig.naturalKey,
+    dedupKey = importConfig.dedupKey,
+    steps = importConfig.rowSteps,
+    stepOptions = {},
+  } = options;
+
+  const report = {
+    importBatchId: null,
+    ...source,
+    mapping: {},
+    unmappedColumns: [],
+    counts: {
+      read: 0,
+      accepted: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      rejected: 0,
+      duplicates: 0,
+      byReason: {},
+    },
+    batches: [],
+    rejected: [],
+    rejectedTruncated: false,
+    rejectedReportId: null,
+  };
+
+  // O mapHeaders resolve as colunas de cada linha, então o pipeline não
+  // depende dos cabeçalhos: no NDJSON eles só são conhecidos aos poucos
+  const pipeline = createRowPipeline({
+    steps,
+    options: {
+      ...stepOptions,
+      mapHeaders: { mapping },
+      dedupe: { ...stepOptions.dedupe, key: dedupKey },
+    },
+  });
+  let headers = [];
+
+  // Os ouvintes vêm antes de qualquer await: o parser pode emitir os
+  // cabeçalhos enquanto o ImportBatch é criado.
+  // Só as planilhas emitem "sheet": { name, index, headerRow }
+  parser.on("sheet", (worksheet) => {
+    report.sheet = worksheet;
+  });
+
+  // Leitores que descobrem colunas no caminho emitem "headers" de novo, com
+  // todas as colunas vistas até ali
+  parser.on("headers", (fileHeaders) => {
+    headers = fileHeaders;
+    const resolved = resolveHeaderMapping(headers, { mapping });
+    report.mapping = resolved.fields;
+    report.unmappedColumns = resolved.unmapped;
+  });
+
+  const importBatch = dryRun
+    ? null
+    : await ImportBatch.create({
+        originalFilename: fileName,
+        sha256: report.sha256 ?? null,
+        uploader,
+        options,
+        startedAt: new Date(),
+      });
+  report.importBatchId = importBatch?.id ?? null;
+
+  let rejectionReport = null;
+  let lineNumber = firstLine;
+  let batch = [];
+
+  const reject = (row, { reason, field, ...params }, line = lineNumber) => {
+    const entry = { line, reason, field, ...params, row };
+    const { counts } = report;
+
+    counts.rejected++;
+    counts.byReason[reason] = (counts.byReason[reason] || 0) + 1;
+    if (reason === REJECTION_REASONS.DUPLICATE_IN_FILE) {
+      counts.duplicates++;
+    }
+
+    if (report.rejected.length < importConfig.maxReportedRejections) {
+      report.rejected.push(entry);
+    } else {
+      report.rejectedTruncated = true;
+    }
+
+    if (!rejectionReport) {
+      const { delimiter, bom } = report.dialect || DEFAULT_REJECTION_DIALECT;
+      rejectionReport = createRejectionReport({ headers, delimiter, bom });
+      report.rejectedReportId = rejectionReport.id;
+    }
+    rejectionReport.write(entry);
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+
+    const current = batch;
+    batch = [];
+
+    const startedAt = Date.now();
+    const progress = {
+      number: report.batches.length + 1,
+      firstLine: current[0].line,
+      lastLine: current[current.length - 1].line,
+      size: current.length,
+    };
+
+    try {
+      const valid = dryRun ? await validateBatch(current, reject) : current;
+      const { conflicts, ...written } = await writeBatch(
+        valid.map(({ record, line }) =>
+          importBatch
+            ? { ...record, importBatchId: importBatch.id, sourceLine: line }
+            : record
+        ),
+        { mode, naturalKey, dryRun }
+      );
+
+      // Linhas que o banco recusaria (ex.: e-mail já cadastrado) viram rejeições
+      for (const { index, ...rejection } of conflicts) {
+        reject(valid[index].row, rejection, valid[index].line);
+      }
+
+      progress.accepted = valid.length - conflicts.length;
+      Object.assign(progress, written);
+    } catch (error) {
+      error.report = report;
+      error.batch = progress;
+      throw error;
+    }
+
+    progress.durationMs = Date.now() - startedAt;
+    for (const count of ["accepted", "inserted", "updated", "unchanged"]) {
+      report.counts[count] += progress[count];
+    }
+    report.batches.push(progress);
+
+    if (onBatch) {
+      await onBatch(progress, report);
+    }
+  };
+
+  try {
+    // O for await respeita o backpressure: o parser espera cada lote ser gravado
+    for await (const row of parser) {
+      lineNumber = row[SOURCE_LINE] ?? lineNumber + 1;
+      report.counts.read++;
+
+      if (row[ROW_REJECTION]) {
+        reject(row, row[ROW_REJECTION]);
+        continue;
+      }
+
+      // normalize -> mapHeaders -> coerce -> validate -> dedupe
+      const { record, rejection } = processCsvRow(row, pipeline);
+      if (rejection) {
+        reject(row, rejection);
+        continue;
+      }
+
+      batch.push({ line: lineNumber, row, record });
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+
+    await flush();
+  } catch (error) {
+    error.report = error.report || report;
+    await importBatch?.update(batchFields(report, "failed"));
+    throw error;
+  } finally {
+    if (rejectionReport) {
+      await rejectionReport.end();
+    }
+  }
+
+  // Sem nenhuma linha aceita nada foi importado: o lote fica como falha, e o
+  // mesmo arquivo pode ser reenviado depois de corrigido
+  const state = report.counts.accepted === 0 ? "failed" : "completed";
+  await importBatch?.update(batchFields(report, state));
+  return report;
+}
+
+/**
+ * Importa um CSV ou uma planilha .xlsx (ver importRows), lendo o arquivo
+ * como stream. Nas planilhas, `sheet` escolhe a aba pelo nome ou pela
+ * posição (a primeira é 1). `headerRow` é a linha do cabeçalho, em CSV ou
+ * planilha; as anteriores são ignoradas. `sha256` evita recalcular o hash
+ * quando quem chama já o tem.
+ */
+async function importCsv(
+  filePath,
+  options = {},
+  { sha256 = null, ...context } = {}
+) {
+  const {
+    delimiter = null,
+    encoding = null,
+    sheet = null,
+    headerRow = 1,
+  } = options;
+
+  const source = {
+    sha256: sha256 || (await hashFile(filePath)),
+    ...inspectFile(filePath, { delimiter, encoding, headerRow }),
+  };
+  const parser = createParser(filePath, source, { sheet, headerRow });
+
+  return importRows(parser, options, {
+    ...context,
+    source,
+    firstLine: headerRow,
+  });
+}
+
+module.exports = { checkCsvLimits, importCsv, importRows, inspectFile };
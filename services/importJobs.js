@@ -0,0 +1,132 @@
+const fs = require("fs");
+const ImportJob = require("../database/models/ImportJob");
+const { AppError } = require("../utils/errors");
+const { discardUpload, isServerFailure } = require("../utils/uploadFiles");
+const { checkCsvLimits, importCsv } = require("./csvImport");
+
+// Os jobs rodam um de cada vez, na ordem em que foram enfileirados
+let queue = Promise.resolve();
+
+function progressFields(report) {
+  return {
+    rowsRead: report.counts.read,
+    inserted: report.counts.inserted,
+    rejected: report.counts.rejected,
+  };
+}
+
+// Erro do job como { code, params }, traduzido na consulta (ver formatJob).
+// Erros fora da aplicação, como os do banco, ficam só no log.
+function jobError(error) {
+  if (error instanceof AppError) {
+    return { code: error.code, params: error.params };
+  }
+
+  return {
+    code: error.report ? "IMPORT_SAVE_FAILED" : "INTERNAL_ERROR",
+    params: {},
+  };
+}
+
+// O arquivo é descartado ao fim do job; se a importação falhou por erro do
+// servidor, pode ir para a quarentena (ver isServerFailure e config/uploads)
+async function runJob(job) {
+  let failed = false;
+  await job.update({ state: "running", startedAt: new Date() });
+
+  try {
+    // Os limites do arquivo são verificados aqui, e não na requisição do
+    // upload; TOO_MANY_ROWS e FIELD_TOO_LONG ficam nos erros do job
+    await checkCsvLimits(job.filePath, job.options || {});
+
+    const report = await importCsv(job.filePath, job.options || {}, {
+      onBatch: (progress, partial) => job.update(progressFields(partial)),
+      fileName: job.fileName,
+      uploader: job.uploader,
+    });
+
+    const accepted = report.counts.accepted > 0;
+    await job.update({
+      ...progressFields(report),
+      state: accepted ? "completed" : "failed",
+      errors: accepted ? [] : [{ code: "NO_VALID_ROWS", params: {} }],
+      report,
+      finishedAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`Erro ao processar o job de importação ${job.id}:`, error);
+    failed = isServerFailure(error);
+    await job.update({
+      ...(error.report && progressFields(error.report)),
+      state: "failed",
+      errors: [jobError(error)],
+      report: error.report || null,
+      finishedAt: new Date(),
+    });
+  } finally {
+    await discardUpload(job.filePath, { failed });
+  }
+}
+
+function enqueue(job) {
+  queue = queue
+    .then(() => runJob(job))
+    .catch((error) => {
+      console.error(`Erro ao atualizar o job de importação ${job.id}:`, error);
+    });
+
+  return queue;
+}
+
+/**
+ * Registra o upload como job e o processa em segundo plano.
+ * Retorna o job assim que ele é gravado, ainda na fila.
+ */
+async function createImportJob(file, options, { uploader = null } = {}) {
+  const job = await ImportJob.create({
+    state: "queued",
+    fileName: file.originalname,
+    uploader,
+    filePath: file.path,
+    options,
+    queuedAt: new Date(),
+  });
+
+  enqueue(job);
+  return job;
+}
+
+/**
+ * Chamado na inicialização do servidor. Jobs que estavam rodando foram
+ * interrompidos no meio de um lote e são marcados como falha; os que ainda
+ * estavam na fila voltam a ser processados se o arquivo ainda existir.
+ */
+async function resumePendingJobs() {
+  const pending = await ImportJob.findAll({
+    where: { state: ["queued", "running"] },
+    order: [["queuedAt", "ASC"]],
+  });
+
+  for (const job of pending) {
+    if (job.state === "queued" && job.filePath && fs.existsSync(job.filePath)) {
+      enqueue(job);
+      continue;
+    }
+
+    await job.update({
+      state: "failed",
+      errors: [{ code: "JOB_INTERRUPTED", params: {} }],
+      finishedAt: new Date(),
+    });
+    await discardUpload(job.filePath, { failed: true });
+  }
+
+  return pending.length;
+}
+
+// Usado nos testes para esperar o processamento em segundo plano
+function waitForIdle() {
+  return queue;
+}
+
+module.exports = { createImportJob, resumePendingJobs, waitForIdle };
@@ -0,0 +1,58 @@
+const sequelize = require("../database/config");
+const Person = require("../database/models/Person");
+const ImportChange = require("../database/models/ImportChange");
+const AuditLog = require("../database/models/AuditLog");
+
+/**
+ * Desfaz uma importação inteira em uma única transação: remove as pessoas
+ * criadas pelo lote, devolve os valores anteriores das pessoas que ele
+ * atualizou e registra a operação em AuditLog.
+ *
+ * As alterações são revertidas da mais recente para a mais antiga, então uma
+ * pessoa atualizada mais de uma vez no mesmo lote volta ao valor original.
+ * Alterações feitas depois da importação nessas pessoas são sobrescritas.
+ */
+async function rollbackImport(importBatch, { performedBy = null } = {}) {
+  return sequelize.transaction(async (transaction) => {
+    const deleted = await Person.destroy({
+      where: { importBatchId: importBatch.id },
+      transaction,
+    });
+
+    const changes = await ImportChange.findAll({
+      where: { importBatchId: importBatch.id },
+      order: [["id", "DESC"]],
+      transaction,
+    });
+
+    let restored = 0;
+    for (const change of changes) {
+      const [affected] = await Person.update(change.previousValues, {
+        where: { id: change.personId },
+        transaction,
+      });
+      restored += affected;
+    }
+
+    await importBatch.update({ rolledBackAt: new Date() }, { transaction });
+
+    const audit = await AuditLog.create(
+      {
+        action: "import.rollback",
+        entityType: "import_batch",
+        entityId: importBatch.id,
+        performedBy,
+        details: {
+          originalFilename: importBatch.originalFilename,
+          deleted,
+          restored,
+        },
+      },
+      { transaction }
+    );
+
+    return { deleted, restored, auditId: audit.id };
+  });
+}
+
+module.exports = { rollbackImport };
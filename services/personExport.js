@@ -0,0 +1,76 @@
+const { Op } = require("sequelize");
+const Person = require("../database/models/Person");
+const { formatCsvRow } = require("../utils/csvWriter");
+
+const EXPORTABLE_COLUMNS = ["id", "name", "age", "email"];
+
+// Registros lidos do banco por consulta durante a exportação
+const CHUNK_SIZE = 1000;
+
+/**
+ * Percorre a tabela Person em blocos ordenados por id (paginação por chave),
+ * então só um bloco fica em memória por vez, qualquer que seja o tamanho da tabela.
+ */
+async function* iteratePeople(where = {}, chunkSize = CHUNK_SIZE) {
+  let lastId = 0;
+
+  while (true) {
+    const rows = await Person.findAll({
+      where: { ...where, id: { [Op.gt]: lastId } },
+      order: [["id", "ASC"]],
+      limit: chunkSize,
+      raw: true,
+    });
+
+    yield* rows;
+
+    if (rows.length < chunkSize) {
+      return;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Gera o CSV linha a linha; usado com Readable.from, que só pede a próxima
+ * linha quando o cliente consome a anterior.
+ */
+async function* exportPeopleCsv({
+  where,
+  columns = EXPORTABLE_COLUMNS,
+  delimiter = ",",
+  bom = false,
+}) {
+  yield (bom ? "\ufeff" : "") + formatCsvRow(columns, delimiter);
+
+  for await (const person of iteratePeople(where)) {
+    yield formatCsvRow(
+      columns.map((column) => person[column]),
+      delimiter
+    );
+  }
+}
+
+// Retorna null se ausente e undefined se alguma coluna não existir
+function resolveColumns(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const columns = String(value)
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean);
+
+  return columns.length > 0 &&
+    columns.every((column) => EXPORTABLE_COLUMNS.includes(column))
+    ? columns
+    : undefined;
+}
+
+module.exports = {
+  EXPORTABLE_COLUMNS,
+  exportPeopleCsv,
+  iteratePeople,
+  resolveColumns,
+};
@@ -0,0 +1,210 @@
+const { Op } = require("sequelize");
+const Person = require("../database/models/Person");
+const ImportChange = require("../database/models/ImportChange");
+const { IMPORT_MODES } = require("../config/import");
+const { normalizeEmail } = require("../utils/normalizeEmail");
+const {
+  REJECTION_REASONS,
+  REQUIRED_FIELDS,
+} = require("../utils/validateRecord");
+
+// Atributos com índice único em Person: um valor repetido falha o lote inteiro
+const UNIQUE_KEYS = [["email"]];
+
+function keyOf(record, naturalKey) {
+  return naturalKey.map((field) => String(record[field])).join("|");
+}
+
+// Busca de uma vez os registros do lote que já existem no banco
+async function findExisting(records, naturalKey) {
+  const where =
+    naturalKey.length === 1
+      ? { [naturalKey[0]]: [...new Set(records.map((r) => r[naturalKey[0]]))] }
+      : {
+          [Op.or]: records.map((record) =>
+            Object.fromEntries(naturalKey.map((f) => [f, record[f]]))
+          ),
+        };
+
+  const rows = await Person.findAll({ where });
+  return new Map(rows.map((row) => [keyOf(row, naturalKey), row]));
+}
+
+// O setter do modelo grava o e-mail normalizado; as buscas e comparações do
+// lote usam o mesmo valor, mesmo sem o passo coerce no pipeline
+function normalizeRecord(record) {
+  return { ...record, email: normalizeEmail(record.email) };
+}
+
+// Pessoas que já usam os valores únicos do lote, por atributo. Quando a
+// chave natural é o próprio atributo único, a busca pela chave já basta.
+async function findUniqueHolders(records, naturalKey) {
+  const holders = [];
+
+  for (const key of UNIQUE_KEYS) {
+    if (key.join() !== naturalKey.join()) {
+      holders.push([key, await findExisting(records, key)]);
+    }
+  }
+
+  return holders;
+}
+
+// Atributos do registro que diferem do que está gravado.
+// A procedência (lote e linha) fica com o registro que criou a pessoa.
+function changedFields(current, record) {
+  const changes = {};
+
+  for (const field of REQUIRED_FIELDS) {
+    if (String(current[field]) !== String(record[field])) {
+      changes[field] = record[field];
+    }
+  }
+
+  return changes;
+}
+
+// Valores gravados antes da atualização, para que o lote possa ser desfeito
+function previousValues(current, changes) {
+  return Object.fromEntries(
+    Object.keys(changes).map((field) => [field, current[field]])
+  );
+}
+
+/**
+ * Grava um lote de registros na tabela Person conforme o modo de importação.
+ * Com `dryRun` faz apenas as consultas, para prever o resultado sem gravar.
+ * Retorna quantos registros foram (ou seriam) inseridos, atualizados e mantidos.
+ *
+ * Registros que o índice único recusaria não são gravados, em qualquer modo, e
+ * voltam em `conflicts` ({ index, reason, field }): ALREADY_EXISTS quando o
+ * valor pertence a outra pessoa cadastrada (ou, no insert-only, quando a
+ * pessoa já existe) e DUPLICATE_IN_FILE quando repete o de outro registro do
+ * lote. Assim um único e-mail repetido não derruba o lote inteiro.
+ *
+ * Registros com `importBatchId` têm cada atualização guardada em ImportChange.
+ */
+async function writeBatch(
+  records,
+  {
+    mode = IMPORT_MODES.INSERT_ONLY,
+    naturalKey = ["email"],
+    dryRun = false,
+  } = {}
+) {
+  const result = { inserted: 0, updated: 0, unchanged: 0, conflicts: [] };
+
+  if (records.length === 0) {
+    return result;
+  }
+
+  const batch = records.map(normalizeRecord);
+  const existing = await findExisting(batch, naturalKey);
+  const holders = await findUniqueHolders(batch, naturalKey);
+  const insertOnly = mode === IMPORT_MODES.INSERT_ONLY;
+
+  // Valor único -> chave natural do registro do lote que vai gravá-lo
+  const claimed = new Map();
+  const claimOf = (record, key) => `${key}:${keyOf(record, key)}`;
+
+  const uniqueConflict = (record, key, current) => {
+    for (const [field, rows] of holders) {
+      const holder = rows.get(keyOf(record, field));
+      if (holder && (!current || holder.id !== current.id)) {
+        return {
+          reason: REJECTION_REASONS.ALREADY_EXISTS,
+          field: field.join(","),
+        };
+      }
+    }
+
+    // Registros com a mesma chave natural são a mesma pessoa, salvo no
+    // insert-only, em que cada um vira uma inserção
+    const repeated = UNIQUE_KEYS.some((field) => {
+      const owner = claimed.get(claimOf(record, field));
+      return owner !== undefined && (insertOnly || owner !== key);
+    });
+
+    return repeated ? { reason: REJECTION_REASONS.DUPLICATE_IN_FILE } : null;
+  };
+
+  const toInsert = [];
+  const toCreate = new Map();
+  const history = [];
+
+  for (const [index, record] of batch.entries()) {
+    const key = keyOf(record, naturalKey);
+    const current = existing.get(key);
+
+    // Chave repetida no mesmo lote: a última linha do arquivo prevalece
+    if (!insertOnly && toCreate.has(key)) {
+      if (mode === IMPORT_MODES.UPSERT) {
+        Object.assign(toCreate.get(key), record);
+      }
+      continue;
+    }
+
+    // Nada a gravar: a pessoa já existe e o modo a mantém
+    if (mode === IMPORT_MODES.SKIP_EXISTING && current) {
+      result.unchanged++;
+      continue;
+    }
+
+    const conflict =
+      insertOnly && current
+        ? {
+            reason: REJECTION_REASONS.ALREADY_EXISTS,
+            field: naturalKey.join(","),
+          }
+        : uniqueConflict(record, key, current);
+    if (conflict) {
+      result.conflicts.push({ index, ...conflict });
+      continue;
+    }
+    UNIQUE_KEYS.forEach((field) => claimed.set(claimOf(record, field), key));
+
+    if (insertOnly) {
+      toInsert.push(record);
+      continue;
+    }
+
+    if (!current) {
+      toCreate.set(key, { ...record });
+      continue;
+    }
+
+    const changes = changedFields(current, record);
+    if (Object.keys(changes).length === 0) {
+      result.unchanged++;
+      continue;
+    }
+
+    if (!dryRun) {
+      if (record.importBatchId) {
+        history.push({
+          importBatchId: record.importBatchId,
+          personId: current.id,
+          sourceLine: record.sourceLine,
+          previousValues: previousValues(current, changes),
+          changedAt: new Date(),
+        });
+      }
+      await current.update(changes);
+    }
+    result.updated++;
+  }
+
+  if (history.length > 0) {
+    await ImportChange.bulkCreate(history);
+  }
+
+  const created = [...toInsert, ...toCreate.values()];
+  if (!dryRun && created.length > 0) {
+    await Person.bulkCreate(created);
+  }
+  result.inserted = created.length;
+
+  return result;
+}
+
+module.exports = { writeBatch };
@@ -0,0 +1,63 @@
+const ImportJob = require("../database/models/ImportJob");
+const uploadConfig = require("../config/uploads");
+const { REPORTS_DIR } = require("../utils/rejectionReport");
+const { removeStaleFiles } = require("../utils/uploadFiles");
+
+/**
+ * Apaga de uploads/ os arquivos órfãos mais antigos que a retenção,
+ * como os deixados por uma queda do servidor no meio de um upload.
+ * Arquivos de jobs ainda na fila ou em andamento são preservados.
+ * Também apaga os relatórios de rejeitados mais antigos que
+ * `reportRetentionMs`. Retorna os caminhos apagados.
+ */
+async function sweepUploads({
+  config = uploadConfig,
+  reportsDir = REPORTS_DIR,
+  now = Date.now(),
+} = {}) {
+  const pending = await ImportJob.findAll({
+    where: { state: ["queued", "running"] },
+    attributes: ["filePath"],
+  });
+
+  const uploads = await removeStaleFiles(config.dir, {
+    olderThanMs: config.retentionMs,
+    keep: new Set(pending.map((job) => job.filePath).filter(Boolean)),
+    now,
+  });
+  const reports = await removeStaleFiles(reportsDir, {
+    olderThanMs: config.reportRetentionMs,
+    now,
+  });
+
+  return [...uploads, ...reports];
+}
+
+async function runSweep() {
+  try {
+    const removed = await sweepUploads();
+    if (removed.length > 0) {
+      console.log(`Arquivos antigos removidos: ${removed.length}`);
+    }
+  } catch (error) {
+    console.error("Erro ao limpar os arquivos temporários:", error);
+  }
+}
+
+/**
+ * Faz uma varredura na inicialização e agenda as próximas.
+ * O timer não impede o processo de encerrar.
+ */
+async function startUploadSweeper({ config = uploadConfig } = {}) {
+  await runSweep();
+
+  if (config.sweepIntervalMs <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(runSweep, config.sweepIntervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startUploadSweeper, sweepUploads };
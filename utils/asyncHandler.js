@@ -0,0 +1,7 @@
+// O Express 4 não trata promessas rejeitadas; encaminha o erro para o middleware de erros
+function asyncHandler(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+module.exports = { asyncHandler };
@@ -0,0 +1,118 @@
+const fs = require("fs");
+
+// Delimitadores aceitos, em ordem de preferência para desempate
+const SUPPORTED_DELIMITERS = [",", ";", "\t", "|"];
+
+// Nomes aceitos no campo `delimiter` do formulário
+const DELIMITER_ALIASES = {
+  comma: ",",
+  virgula: ",",
+  semicolon: ";",
+  "ponto-e-virgula": ";",
+  tab: "\t",
+  "\\t": "\t",
+  pipe: "|",
+};
+
+// Quantidade de bytes lidos do início do arquivo para a detecção
+const SAMPLE_SIZE = 64 * 1024;
+const SAMPLE_LINES = 20;
+
+// Conta as ocorrências do delimitador fora de campos entre aspas
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+// Escolhe o delimitador que aparece de forma mais consistente nas primeiras linhas
+function detectDelimiter(sample) {
+  const lines = sample
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .slice(0, SAMPLE_LINES);
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const delimiter of SUPPORTED_DELIMITERS) {
+    const counts = lines.map((line) => countDelimiter(line, delimiter));
+    const headerCount = counts[0];
+
+    if (headerCount === 0) {
+      continue;
+    }
+
+    // Linhas com a mesma quantidade de colunas do cabeçalho pesam mais
+    const consistentLines = counts.filter(
+      (count) => count === headerCount
+    ).length;
+    const score = consistentLines * 1000 + headerCount;
+
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function resolveDelimiter(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const normalized = String(value).toLowerCase();
+  if (DELIMITER_ALIASES[normalized]) {
+    return DELIMITER_ALIASES[normalized];
+  }
+
+  return SUPPORTED_DELIMITERS.includes(value) ? value : undefined;
+}
+
+/**
+ * Identifica o dialeto de um trecho inicial de CSV já decodificado.
+ * Retorna o delimitador (padrão ",") e se ele foi de fato detectado.
+ */
+function detectCsvDialect(sample) {
+  const delimiter = detectDelimiter(sample);
+
+  return {
+    delimiter: delimiter || ",",
+    detected: delimiter !== null,
+  };
+}
+
+// Lê apenas o início do arquivo para não carregar arquivos grandes na memória
+function readSample(filePath, size = SAMPLE_SIZE) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(size);
+    const bytesRead = fs.readSync(fd, buffer, 0, size, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  SUPPORTED_DELIMITERS,
+  detectCsvDialect,
+  detectDelimiter,
+  readSample,
+  resolveDelimiter,
+};
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const { pipeline } = require("stream");
+const iconv = require("iconv-lite");
+
+const DEFAULT_ENCODING = "utf-8";
+
+// Codificação usada quando o arquivo não é UTF-8 válido (Excel legado, Windows)
+const FALLBACK_ENCODING = "windows-1252";
+
+const BOMS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+const UTF8_BOM_LENGTH = BOMS[0].bytes.length;
+
+function matchBom(buffer) {
+  return BOMS.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte)
+  );
+}
+
+function isUtf8(encoding) {
+  return ["utf8", "utf-8"].includes(String(encoding).toLowerCase());
+}
+
+function isValidUtf8(buffer) {
+  try {
+    // `stream: true` tolera um caractere cortado no fim da amostra
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Descobre a codificação de um trecho inicial do arquivo.
+ * BOM tem prioridade; sem BOM, bytes que não formam UTF-8 válido
+ * indicam um arquivo legado em Windows-1252.
+ */
+function detectEncoding(buffer) {
+  const bom = matchBom(buffer);
+  if (bom) {
+    return { encoding: bom.encoding, bom: true };
+  }
+
+  return {
+    encoding: isValidUtf8(buffer) ? DEFAULT_ENCODING : FALLBACK_ENCODING,
+    bom: false,
+  };
+}
+
+function resolveEncoding(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  return iconv.encodingExists(normalized) ? normalized : undefined;
+}
+
+// Decodifica a amostra para detectar o dialeto (o BOM é descartado)
+function decodeSample(buffer, encoding) {
+  return iconv.decode(buffer, encoding);
+}
+
+/**
+ * Abre o arquivo já convertido para UTF-8 e sem BOM,
+ * pronto para ser enviado ao csv-parser.
+ */
+function createDecodedReadStream(filePath, { encoding, bom }) {
+  if (isUtf8(encoding)) {
+    // Pula o BOM para que ele não fique grudado no primeiro cabeçalho
+    return fs.createReadStream(filePath, { start: bom ? UTF8_BOM_LENGTH : 0 });
+  }
+
+  // O iconv-lite já descarta o BOM ao decodificar. O pipeline fecha o arquivo
+  // quando a leitura é interrompida antes do fim.
+  return pipeline(
+    fs.createReadStream(filePath),
+    iconv.decodeStream(encoding),
+    () => {}
+  );
+}
+
+module.exports = {
+  DEFAULT_ENCODING,
+  FALLBACK_ENCODING,
+  createDecodedReadStream,
+  decodeSample,
+  detectEncoding,
+  isUtf8,
+  resolveEncoding,
+};
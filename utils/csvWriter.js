@@ -0,0 +1,27 @@
+// Coloca o valor entre aspas quando ele contém delimitador, aspas ou quebra de linha
+function formatCsvValue(value, delimiter = ",") {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  const text = String(value);
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+function formatCsvRow(values, delimiter = ",") {
+  return (
+    values.map((value) => formatCsvValue(value, delimiter)).join(delimiter) +
+    "\n"
+  );
+}
+
+module.exports = { formatCsvRow, formatCsvValue };
@@ -0,0 +1,57 @@
+const { DEFAULT_LANGUAGE, translate } = require("../i18n");
+
+/**
+ * Erros da aplicação. Cada tipo define o status HTTP; `code` é o código
+ * estável da situação, que também identifica a mensagem nos catálogos de
+ * i18n/ (`params` preenche os campos da mensagem). O middleware de erros
+ * (middleware/errorHandler) devolve `{ code, message, details, requestId }`
+ * com a mensagem no idioma da requisição.
+ */
+class AppError extends Error {
+  constructor(code, { params = {}, details = null, cause } = {}) {
+    super(translate(DEFAULT_LANGUAGE, code, params), { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.params = params;
+    this.details = details;
+  }
+}
+AppError.status = 500;
+
+// Parâmetros ou dados da requisição inválidos
+class ValidationError extends AppError {}
+ValidationError.status = 400;
+
+class NotFoundError extends AppError {}
+NotFoundError.status = 404;
+
+// A requisição conflita com o estado atual, como um arquivo já importado
+class ConflictError extends AppError {}
+ConflictError.status = 409;
+
+// Arquivo ou corpo fora dos limites: 413 (tamanho), 415 (formato) ou 422 (conteúdo)
+class PayloadError extends AppError {
+  constructor(status, code, options) {
+    super(code, options);
+    this.status = status;
+  }
+}
+
+// Falha ao gravar ou consultar o banco
+class DatabaseError extends AppError {}
+DatabaseError.status = 500;
+
+// Status HTTP do erro; instâncias podem sobrescrever o do tipo
+function statusOf(error) {
+  return error.status || error.constructor.status || 500;
+}
+
+module.exports = {
+  AppError,
+  ConflictError,
+  DatabaseError,
+  NotFoundError,
+  PayloadError,
+  ValidationError,
+  statusOf,
+};
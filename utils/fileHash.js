@@ -0,0 +1,16 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Calcula o hash do arquivo lendo em stream, sem carregá-lo inteiro na memória
+function hashFile(filePath, algorithm = "sha256") {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+module.exports = { hashFile };
@@ -0,0 +1,111 @@
+const defaultAliases = require("../config/headerAliases");
+const { ValidationError } = require("./errors");
+
+// Remove acentos, pontuação e diferenças de caixa: "E-mail Institucional" -> "email institucional"
+function normalizeHeader(header) {
+  return String(header)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/-/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Valida o campo `mapping` enviado no upload ({ "cabeçalho": "atributo" }).
+ * Retorna o objeto validado ou null se ausente. Valores inválidos lançam
+ * ValidationError com o código INVALID_MAPPING_JSON, INVALID_MAPPING_FORMAT
+ * ou UNKNOWN_MAPPING_FIELD.
+ */
+function parseMapping(value, fields = Object.keys(defaultAliases)) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  let mapping = value;
+  if (typeof value === "string") {
+    try {
+      mapping = JSON.parse(value);
+    } catch (err) {
+      throw new ValidationError("INVALID_MAPPING_JSON");
+    }
+  }
+
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new ValidationError("INVALID_MAPPING_FORMAT");
+  }
+
+  for (const field of Object.values(mapping)) {
+    if (!fields.includes(field)) {
+      throw new ValidationError("UNKNOWN_MAPPING_FIELD", { params: { field } });
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Decide qual coluna do arquivo alimenta cada atributo do modelo.
+ * O mapping explícito tem prioridade sobre a tabela de apelidos; em caso de
+ * empate entre colunas, vence a primeira do arquivo.
+ */
+function resolveHeaderMapping(
+  headers,
+  { mapping, aliases = defaultAliases } = {}
+) {
+  const fields = {};
+  const explicit = new Map(
+    Object.entries(mapping || {}).map(([header, field]) => [
+      normalizeHeader(header),
+      field,
+    ])
+  );
+
+  for (const header of headers) {
+    const field = explicit.get(normalizeHeader(header));
+    if (field && !fields[field]) {
+      fields[field] = header;
+    }
+  }
+
+  for (const [field, fieldAliases] of Object.entries(aliases)) {
+    if (fields[field]) {
+      continue;
+    }
+
+    const candidates = new Set([field, ...fieldAliases].map(normalizeHeader));
+    const header = headers.find(
+      (candidate) =>
+        candidates.has(normalizeHeader(candidate)) &&
+        !explicit.has(normalizeHeader(candidate))
+    );
+
+    if (header !== undefined) {
+      fields[field] = header;
+    }
+  }
+
+  const used = new Set(Object.values(fields));
+  const unmapped = headers.filter((header) => !used.has(header));
+
+  return { fields, unmapped };
+}
+
+// Monta uma linha com os nomes dos atributos a partir das colunas de origem
+function applyHeaderMapping(row, fields) {
+  const mapped = {};
+
+  for (const [field, header] of Object.entries(fields)) {
+    mapped[field] = row[header];
+  }
+
+  return mapped;
+}
+
+module.exports = {
+  applyHeaderMapping,
+  normalizeHeader,
+  parseMapping,
+  resolveHeaderMapping,
+};
@@ -0,0 +1,138 @@
+const { resolveDelimiter } = require("./csvDialect");
+const { resolveEncoding } = require("./csvEncoding");
+const { parseMapping } = require("./headerMapping");
+const { ROW_STEPS } = require("./processCsvRow");
+const { ValidationError } = require("./errors");
+const {
+  resolveBatchSize,
+  resolveFieldList,
+  resolveHeaderRow,
+  resolveImportMode,
+  resolveRowSteps,
+} = require("./requestOptions");
+
+// Opções que um perfil de importação pode guardar (ver ImportProfile)
+const IMPORT_OPTIONS = [
+  "delimiter",
+  "encoding",
+  "mapping",
+  "batchSize",
+  "mode",
+  "naturalKey",
+  "dedupKey",
+  "steps",
+  "stepOptions",
+  "sheet",
+  "headerRow",
+];
+
+// { "passo": { opções } }, como objeto ou JSON no formulário.
+// Retorna null se ausente ou lança um ValidationError.
+function parseStepOptions(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  let stepOptions = value;
+  if (typeof value === "string") {
+    try {
+      stepOptions = JSON.parse(value);
+    } catch (err) {
+      stepOptions = null;
+    }
+  }
+
+  const isObject = (item) =>
+    item !== null && typeof item === "object" && !Array.isArray(item);
+  const valid =
+    isObject(stepOptions) &&
+    Object.entries(stepOptions).every(
+      ([step, options]) => ROW_STEPS.has(step) && isObject(options)
+    );
+
+  if (!valid) {
+    throw new ValidationError("INVALID_STEP_OPTIONS", {
+      params: { steps: [...ROW_STEPS.keys()].join(", ") },
+    });
+  }
+
+  return stepOptions;
+}
+
+/**
+ * Valida as opções de importação vindas do formulário de upload ou de um
+ * perfil salvo. Retorna apenas as que foram informadas, já normalizadas,
+ * para que possam sobrescrever as de um perfil; lança um ValidationError
+ * na primeira opção inválida.
+ */
+function parseImportOptions(fields = {}) {
+  // Delimitador informado tem prioridade sobre o detectado
+  const delimiter = resolveDelimiter(fields.delimiter);
+  if (delimiter === undefined) {
+    throw new ValidationError("INVALID_DELIMITER");
+  }
+
+  const encoding = resolveEncoding(fields.encoding);
+  if (encoding === undefined) {
+    throw new ValidationError("UNSUPPORTED_ENCODING", {
+      params: { encoding: fields.encoding },
+    });
+  }
+
+  const batchSize = resolveBatchSize(fields.batchSize);
+  if (batchSize === undefined) {
+    throw new ValidationError("INVALID_BATCH_SIZE");
+  }
+
+  const mode = resolveImportMode(fields.mode);
+  if (mode === undefined) {
+    throw new ValidationError("INVALID_MODE");
+  }
+
+  const naturalKey = resolveFieldList(fields.naturalKey);
+  if (naturalKey === undefined) {
+    throw new ValidationError("INVALID_NATURAL_KEY");
+  }
+
+  // Linhas repetidas no arquivo: por padrão, o mesmo e-mail
+  const dedupKey = resolveFieldList(fields.dedupKey);
+  if (dedupKey === undefined) {
+    throw new ValidationError("INVALID_DEDUP_KEY");
+  }
+
+  // Passos do pipeline de linhas; mapHeaders e validate rodam sempre
+  const steps = resolveRowSteps(fields.steps);
+  if (steps === undefined) {
+    throw new ValidationError("INVALID_ROW_STEPS", {
+      params: { steps: [...ROW_STEPS.keys()].join(", ") },
+    });
+  }
+
+  const headerRow = resolveHeaderRow(fields.headerRow);
+  if (headerRow === undefined) {
+    throw new ValidationError("INVALID_HEADER_ROW");
+  }
+
+  // Aba da planilha, pelo nome ou pela posição; ignorada em CSV
+  const sheet = String(fields.sheet ?? "").trim() || null;
+
+  const resolved = {
+    delimiter,
+    encoding,
+    mapping: parseMapping(fields.mapping),
+    batchSize,
+    mode,
+    naturalKey,
+    dedupKey,
+    steps,
+    stepOptions: parseStepOptions(fields.stepOptions),
+    sheet,
+    headerRow,
+  };
+
+  return Object.fromEntries(
+    Object.entries(resolved).filter(([, value]) => value !== null)
+  );
+}
+
+module.exports = { IMPORT_OPTIONS, parseImportOptions, parseStepOptions };
@@ -0,0 +1,78 @@
+const { AppError, DatabaseError, ValidationError } = require("./errors");
+
+/**
+ * Troca o id do relatório de rejeitados pela URL de download e acrescenta a
+ * cada linha rejeitada o motivo no idioma da requisição. O download fica em
+ * /rejections do router da requisição, salvo outro `rejectionsPath`.
+ */
+function formatReport(
+  { rejectedReportId, ...report },
+  req,
+  { rejectionsPath = `${req.baseUrl}/rejections` } = {}
+) {
+  if (rejectedReportId) {
+    report.rejectedReport = `${rejectionsPath}/${rejectedReportId}`;
+  }
+
+  if (report.rejected) {
+    report.rejected = report.rejected.map((entry) => ({
+      ...entry,
+      message: req.t(entry.reason, entry),
+    }));
+  }
+
+  return report;
+}
+
+/**
+ * Aguarda a importação (`run` devolve o relatório de importRows) e responde
+ * como o upload de CSV: 201 com o relatório, 200 na simulação, 400 se
+ * nenhuma linha foi aceita e 500 com o relatório parcial se um lote falhar.
+ * Erros da aplicação no meio da leitura (ex.: TOO_MANY_ROWS) mantêm o código
+ * e trazem o relatório parcial em `details.report`.
+ */
+async function sendImportReport(req, res, run, { dryRun, ...formatOptions }) {
+  let report;
+  try {
+    report = await run();
+  } catch (error) {
+    if (!error.report) {
+      throw error;
+    }
+
+    // Em ambos os casos os lotes anteriores ao erro já foram gravados
+    const partial = formatReport(error.report, req, formatOptions);
+    if (error instanceof AppError) {
+      error.details = { ...error.details, report: partial };
+      throw error;
+    }
+
+    throw new DatabaseError("IMPORT_SAVE_FAILED", {
+      details: partial,
+      cause: error,
+    });
+  }
+
+  if (report.counts.accepted === 0) {
+    throw new ValidationError("NO_VALID_ROWS", {
+      details: formatReport(report, req, formatOptions),
+    });
+  }
+
+  if (dryRun) {
+    return res.status(200).json({
+      code: "DRY_RUN_COMPLETED",
+      message: req.t("DRY_RUN_COMPLETED"),
+      dryRun: true,
+      ...formatReport(report, req, formatOptions),
+    });
+  }
+
+  res.status(201).json({
+    code: "IMPORT_COMPLETED",
+    message: req.t("IMPORT_COMPLETED"),
+    ...formatReport(report, req, formatOptions),
+  });
+}
+
+module.exports = { formatReport, sendImportReport };
@@ -0,0 +1,217 @@
+const readline = require("readline");
+const { Readable, Transform } = require("stream");
+const importConfig = require("../config/import");
+const { PayloadError } = require("./errors");
+const { REJECTION_REASONS } = require("./validateRecord");
+const { ROW_REJECTION, SOURCE_LINE } = require("./rowSource");
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Valores JSON para o texto que o CSV traria: null vira "", números e
+// booleanos viram texto e objetos aninhados ficam como JSON, que a validação recusa
+function jsonValueToString(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Linha do importador a partir de um item. O que não é objeto é recusado, e
+// também o item com um valor maior que `maxFieldLength`, que o banco recusaria
+function toRow(item, line, maxFieldLength) {
+  if (!isPlainObject(item)) {
+    return {
+      [SOURCE_LINE]: line,
+      [ROW_REJECTION]: { reason: REJECTION_REASONS.MALFORMED_ROW },
+    };
+  }
+
+  const row = {};
+  for (const [key, value] of Object.entries(item)) {
+    row[key] = jsonValueToString(value);
+  }
+  row[SOURCE_LINE] = line;
+
+  const column = Object.keys(row).find(
+    (key) => row[key].length > maxFieldLength
+  );
+  if (column !== undefined) {
+    row[ROW_REJECTION] = {
+      reason: REJECTION_REASONS.FIELD_TOO_LONG,
+      column,
+      limit: maxFieldLength,
+    };
+  }
+
+  return row;
+}
+
+function tooManyRows(maxRows) {
+  const details = { limit: maxRows };
+  return new PayloadError(422, "TOO_MANY_ROWS", { params: details, details });
+}
+
+/**
+ * Repassa os bytes de `input`, mas falha com 413 quando uma linha passa de
+ * `maxLineBytes`: o readline guardaria a linha inteira em memória, e um corpo
+ * sem quebras de linha cresceria sem limite. O resto do corpo é descartado,
+ * para que a resposta ainda possa ser enviada.
+ */
+function limitLineSize(input, maxLineBytes) {
+  let lineBytes = 0;
+
+  const limited = new Transform({
+    transform(chunk, _encoding, callback) {
+      // A primeira linha do bloco continua a que veio do bloco anterior
+      let start = 0;
+      let newline = chunk.indexOf(0x0a);
+      while (newline !== -1 && lineBytes + newline - start <= maxLineBytes) {
+        lineBytes = 0;
+        start = newline + 1;
+        newline = chunk.indexOf(0x0a, start);
+      }
+
+      lineBytes += (newline === -1 ? chunk.length : newline) - start;
+      if (lineBytes > maxLineBytes) {
+        const details = { limit: maxLineBytes };
+        return callback(
+          new PayloadError(413, "BODY_TOO_LARGE", { params: details, details })
+        );
+      }
+
+      callback(null, chunk);
+    },
+  });
+
+  limited.on("error", () => {
+    input.unpipe(limited);
+    input.resume();
+  });
+
+  return input.pipe(limited);
+}
+
+/**
+ * Entrega os itens de um array JSON já lido como o csv-parser entrega as
+ * linhas (ver importRows). Os cabeçalhos são todos os atributos que aparecem
+ * nos objetos, na ordem em que surgem; a linha de cada item é sua posição
+ * no array (a primeira é 1). Itens com um valor maior que `maxFieldLength`
+ * são recusados com FIELD_TOO_LONG.
+ */
+function createJsonArrayParser(
+  items,
+  {
+    maxRows = importConfig.maxRows,
+    maxFieldLength = importConfig.maxFieldLength,
+  } = {}
+) {
+  if (items.length > maxRows) {
+    throw tooManyRows(maxRows);
+  }
+
+  const stream = Readable.from(readRows(), { objectMode: true });
+
+  async function* readRows() {
+    const headers = new Set();
+    for (const item of items.filter(isPlainObject)) {
+      Object.keys(item).forEach((key) => headers.add(key));
+    }
+
+    stream.emit("headers", [...headers]);
+    for (const [index, item] of items.entries()) {
+      yield toRow(item, index + 1, maxFieldLength);
+    }
+  }
+
+  return stream;
+}
+
+/**
+ * Lê um stream NDJSON (um objeto JSON por linha) sem carregá-lo inteiro.
+ * Os cabeçalhos são os atributos vistos até ali: "headers" é emitido no
+ * primeiro objeto válido e de novo sempre que um objeto traz atributos novos.
+ * Linhas em branco são ignoradas e as que não são um objeto JSON são recusadas
+ * com MALFORMED_ROW; as com um valor maior que `maxFieldLength`, com
+ * FIELD_TOO_LONG. Passar de `maxRows` interrompe a leitura com um
+ * PayloadError, e os lotes já gravados ficam, como em uma falha de lote
+ * (importRows anexa o relatório parcial ao erro). Uma linha maior que
+ * `maxLineBytes` interrompe a leitura com 413 BODY_TOO_LARGE.
+ */
+function createNdjsonParser(
+  input,
+  {
+    maxRows = importConfig.maxRows,
+    maxFieldLength = importConfig.maxFieldLength,
+    maxLineBytes = importConfig.maxNdjsonLineBytes,
+  } = {}
+) {
+  const stream = Readable.from(readRows(), { objectMode: true });
+
+  async function* readRows() {
+    const lines = readline.createInterface({
+      input: limitLineSize(input, maxLineBytes),
+      crlfDelay: Infinity,
+    });
+    // Linhas recusadas antes do primeiro objeto esperam pelos cabeçalhos
+    const pending = [];
+    const headers = new Set();
+    let emitted = false;
+    let number = 0;
+    let rows = 0;
+
+    for await (const text of lines) {
+      number++;
+      const line = number === 1 ? text.replace(/^\ufeff/, "") : text;
+      if (line.trim() === "") {
+        continue;
+      }
+
+      rows++;
+      if (rows > maxRows) {
+        throw tooManyRows(maxRows);
+      }
+
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (err) {
+        item = undefined;
+      }
+
+      const row = toRow(item, number, maxFieldLength);
+      if (!row[ROW_REJECTION]) {
+        const added = Object.keys(row).filter((key) => !headers.has(key));
+        added.forEach((key) => headers.add(key));
+
+        if (!emitted || added.length > 0) {
+          emitted = true;
+          stream.emit("headers", [...headers]);
+        }
+      }
+
+      if (!emitted) {
+        pending.push(row);
+        continue;
+      }
+
+      yield* pending.splice(0);
+      yield row;
+    }
+
+    if (!emitted) {
+      stream.emit("headers", []);
+      yield* pending;
+    }
+  }
+
+  return stream;
+}
+
+module.exports = {
+  createJsonArrayParser,
+  createNdjsonParser,
+  jsonValueToString,
+};
@@ -0,0 +1,32 @@
+const personConfig = require("../config/person");
+
+/**
+ * Forma canônica de um e-mail: sem espaços nas pontas e em minúsculas.
+ * Nos domínios de `stripPlusTagDomains` a tag após o "+" também é removida
+ * ("Nome+turma@gmail.com" -> "nome@gmail.com").
+ */
+function normalizeEmail(
+  value,
+  { stripPlusTagDomains = personConfig.email.stripPlusTagDomains } = {}
+) {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  const email = value.trim().toLowerCase();
+  const at = email.lastIndexOf("@");
+  if (at < 0) {
+    return email;
+  }
+
+  const domain = email.slice(at + 1);
+  const plus = email.indexOf("+");
+  const stripTag =
+    plus > 0 &&
+    plus < at &&
+    (stripPlusTagDomains.includes("*") || stripPlusTagDomains.includes(domain));
+
+  return stripTag ? `${email.slice(0, plus)}@${domain}` : email;
+}
+
+module.exports = { normalizeEmail };
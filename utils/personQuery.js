@@ -0,0 +1,101 @@
+const { Op } = require("sequelize");
+const sequelize = require("../database/config");
+const { ValidationError } = require("./errors");
+
+const SORTABLE_FIELDS = ["id", "name", "age", "email"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Erro de parâmetro da query string, respondido com 400
+class QueryError extends ValidationError {}
+
+// LIKE diferencia maiúsculas no PostgreSQL; lá usamos ILIKE
+function likeOperator() {
+  return sequelize.getDialect() === "postgres" ? Op.iLike : Op.like;
+}
+
+function parseInteger(value, name) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new QueryError("INVALID_INTEGER", { params: { name } });
+  }
+
+  return number;
+}
+
+/**
+ * Filtros aceitos na listagem e na exportação de pessoas:
+ * name (trecho do nome), minAge, maxAge e emailDomain (ex.: unifio.edu.br).
+ */
+function buildPersonWhere(query = {}) {
+  const where = {};
+  const like = likeOperator();
+
+  if (query.name) {
+    where.name = { [like]: `%${query.name}%` };
+  }
+
+  const minAge = parseInteger(query.minAge, "minAge");
+  const maxAge = parseInteger(query.maxAge, "maxAge");
+  if (minAge !== undefined || maxAge !== undefined) {
+    where.age = {
+      ...(minAge !== undefined && { [Op.gte]: minAge }),
+      ...(maxAge !== undefined && { [Op.lte]: maxAge }),
+    };
+  }
+
+  if (query.emailDomain) {
+    const domain = String(query.emailDomain).replace(/^@/, "");
+    where.email = { [like]: `%@${domain}` };
+  }
+
+  return where;
+}
+
+// sort=name,-age -> ORDER BY name ASC, age DESC
+function buildPersonOrder(sort) {
+  if (!sort) {
+    return [["id", "ASC"]];
+  }
+
+  return String(sort)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const field = item.replace(/^[-+]/, "");
+      if (!SORTABLE_FIELDS.includes(field)) {
+        throw new QueryError("INVALID_SORT_FIELD", {
+          params: { field, fields: SORTABLE_FIELDS.join(", ") },
+        });
+      }
+
+      return [field, item.startsWith("-") ? "DESC" : "ASC"];
+    });
+}
+
+function parsePagination(query = {}) {
+  const page = parseInteger(query.page, "page") ?? 1;
+  const pageSize =
+    parseInteger(query.pageSize, "pageSize") ?? DEFAULT_PAGE_SIZE;
+
+  if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError("INVALID_PAGINATION", {
+      params: { max: MAX_PAGE_SIZE },
+    });
+  }
+
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+module.exports = {
+  QueryError,
+  SORTABLE_FIELDS,
+  buildPersonOrder,
+  buildPersonWhere,
+  parsePagination,
+};
@@ -1,13 +1,167 @@
-function processCsvRow(row) {
-  const name = row.name?.trim();
-  const age = row.age?.trim();
-  const email = row.email?.trim();
+const importConfig = require("../config/import");
+const personConfig = require("../config/person");
+const { applyHeaderMapping, resolveHeaderMapping } = require("./headerMapping");
+const { normalizeEmail } = require("./normalizeEmail");
+const {
+  REJECTION_REASONS,
+  parseAge,
+  validateRecord,
+} = require("./validateRecord");
 
-  if (!name || !age || !email) {
-    return null;
+// Cada passo do pipeline é uma fábrica: recebe as opções do passo e devolve
+// a função que processa uma linha. Essa função retorna { record } para seguir
+// ao próximo passo ou { rejection } ({ reason, field, ... }) para descartar.
+
+// Remove os espaços nas pontas de todas as células; com `collapseSpaces`,
+// sequências de espaços internos viram um só ("caio   martins" -> "caio martins")
+function normalize({ collapseSpaces = false } = {}) {
+  return (row) => {
+    const record = {};
+
+    for (const [column, value] of Object.entries(row)) {
+      const text = typeof value === "string" ? value.trim() : value;
+      record[column] =
+        collapseSpaces && typeof text === "string"
+          ? text.replace(/\s+/g, " ")
+          : text;
+    }
+
+    return { record };
+  };
+}
+
+// Troca as colunas do arquivo pelos atributos de Person. Sem `fields`, as
+// colunas são resolvidas pelos apelidos a partir das chaves de cada linha,
+// então linhas que não trazem todas as colunas (como no NDJSON) também servem.
+function mapHeaders({ fields = null, mapping = null } = {}) {
+  // Uma resolução por conjunto de colunas; num CSV todas as linhas têm o mesmo
+  const resolved = new Map();
+
+  return (row) => {
+    if (fields) {
+      return { record: applyHeaderMapping(row, fields) };
+    }
+
+    const columns = Object.keys(row);
+    const key = columns.join("\n");
+    if (!resolved.has(key)) {
+      resolved.set(key, resolveHeaderMapping(columns, { mapping }).fields);
+    }
+
+    return { record: applyHeaderMapping(row, resolved.get(key)) };
+  };
+}
+
+// Converte os valores para os tipos do modelo. Uma idade que não é inteira
+// fica como veio, para que o validate aponte o motivo.
+function coerce({
+  stripPlusTagDomains = personConfig.email.stripPlusTagDomains,
+} = {}) {
+  return (record) => ({
+    record: {
+      ...record,
+      age: parseAge(record.age) ?? record.age,
+      email: normalizeEmail(record.email, { stripPlusTagDomains }),
+    },
+  });
+}
+
+// Mesmas regras do relatório de rejeitados (ver validateRecord). `age`
+// restringe a faixa de idade, como { min: 18 }; o que faltar vem da configuração.
+function validate({ age = {} } = {}) {
+  const options = { age: { ...personConfig.age, ...age } };
+
+  return (record) => {
+    const rejection = validateRecord(record, options);
+    return rejection ? { rejection } : { record };
+  };
+}
+
+// Recusa linhas cujos atributos de `key` já apareceram no arquivo.
+// Guarda as chaves vistas, então cada importação usa um pipeline novo.
+function dedupe({ key = importConfig.dedupKey } = {}) {
+  const seen = new Set();
+
+  return (record) => {
+    const value = key.map((field) => record[field]).join("|");
+    if (seen.has(value)) {
+      return { rejection: { reason: REJECTION_REASONS.DUPLICATE_IN_FILE } };
+    }
+
+    seen.add(value);
+    return { record };
+  };
+}
+
+// Passos registrados, na ordem em que rodam
+const ROW_STEPS = new Map([
+  ["normalize", normalize],
+  ["mapHeaders", mapHeaders],
+  ["coerce", coerce],
+  ["validate", validate],
+  ["dedupe", dedupe],
+]);
+
+// Sem eles a linha não chega ao banco no formato do modelo
+const REQUIRED_STEPS = ["mapHeaders", "validate"];
+
+/**
+ * Registra um passo novo. Por padrão ele roda por último; com `before`,
+ * entra antes do passo indicado (ex.: { before: "validate" }).
+ */
+function registerRowStep(name, factory, { before = null } = {}) {
+  const entries = [...ROW_STEPS].filter(([current]) => current !== name);
+  const index = before
+    ? entries.findIndex(([current]) => current === before)
+    : -1;
+
+  entries.splice(index < 0 ? entries.length : index, 0, [name, factory]);
+
+  ROW_STEPS.clear();
+  for (const [current, currentFactory] of entries) {
+    ROW_STEPS.set(current, currentFactory);
+  }
+}
+
+/**
+ * Monta o pipeline com os passos habilitados em `steps`, sempre na ordem do
+ * registro e sempre com os obrigatórios. `options` traz as opções de cada
+ * passo pelo nome (ex.: { dedupe: { key: ["name", "email"] } }).
+ */
+function createRowPipeline({
+  steps = importConfig.rowSteps,
+  options = {},
+} = {}) {
+  const enabled = new Set([...steps, ...REQUIRED_STEPS]);
+
+  return [...ROW_STEPS]
+    .filter(([name]) => enabled.has(name))
+    .map(([name, factory]) => ({ name, run: factory(options[name]) }));
+}
+
+/**
+ * Passa uma linha do arquivo pelo pipeline. Retorna { record } pronto para
+ * gravar ou { rejection, step } com o motivo e o passo que a recusou.
+ */
+function processCsvRow(row, pipeline = createRowPipeline()) {
+  let record = row;
+
+  for (const step of pipeline) {
+    const result = step.run(record);
+    if (result.rejection) {
+      return { rejection: result.rejection, step: step.name };
+    }
+
+    record = result.record;
   }
 
-  return { name, age, email };
+  return { record };
 }
 
-module.exports = { processCsvRow };
+module.exports = {
+  REQUIRED_STEPS,
+  ROW_STEPS,
+  createRowPipeline,
+  processCsvRow,
+  registerRowStep,
+};
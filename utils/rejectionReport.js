@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const { once } = require("events");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const uploadConfig = require("../config/uploads");
+const { formatCsvRow } = require("./csvWriter");
+
+const REPORTS_DIR = path.resolve(uploadConfig.reportsDir);
+
+const REPORT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Espera o fim da gravação de um stream
+function finish(stream) {
+  return new Promise((resolve, reject) => {
+    stream.on("error", reject);
+    stream.end(resolve);
+  });
+}
+
+/**
+ * Abre um CSV para as linhas rejeitadas, com as colunas originais do arquivo
+ * precedidas da linha de origem e do motivo, para que possam ser corrigidas
+ * e reenviadas. As linhas são gravadas conforme chegam, sem acumular em memória.
+ *
+ * Entradas como o NDJSON revelam colunas novas no meio da leitura. Por isso
+ * as linhas vão antes para um arquivo de trabalho (uma por linha, em JSON) e
+ * o CSV é montado em `end()`, com todas as colunas vistas: as de `headers` e,
+ * depois delas, as que só apareceram nas linhas rejeitadas.
+ */
+function createRejectionReport({ headers, delimiter = ",", bom }) {
+  const id = crypto.randomUUID();
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+
+  const reportPath = getRejectionReportPath(id);
+  const workPath = `${reportPath}.part`;
+  const work = fs.createWriteStream(workPath);
+  const columns = new Set(headers);
+
+  return {
+    id,
+    write({ line, reason, row }) {
+      Object.keys(row).forEach((column) => columns.add(column));
+      work.write(`${JSON.stringify([line, reason, row])}\n`);
+    },
+    async end() {
+      await finish(work);
+
+      const output = fs.createWriteStream(reportPath);
+      output.write(
+        (bom ? "\ufeff" : "") +
+          formatCsvRow(["line", "reason", ...columns], delimiter)
+      );
+
+      const lines = readline.createInterface({
+        input: fs.createReadStream(workPath),
+        crlfDelay: Infinity,
+      });
+      for await (const text of lines) {
+        const [line, reason, row] = JSON.parse(text);
+        const values = [...columns].map((column) => row[column]);
+        if (!output.write(formatCsvRow([line, reason, ...values], delimiter))) {
+          await once(output, "drain");
+        }
+      }
+
+      await finish(output);
+      await fs.promises.unlink(workPath);
+    },
+  };
+}
+
+// Retorna null para ids fora do formato, evitando acesso a outros arquivos
+function getRejectionReportPath(id) {
+  if (!REPORT_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  return path.join(REPORTS_DIR, `${id}.csv`);
+}
+
+module.exports = {
+  REPORTS_DIR,
+  createRejectionReport,
+  getRejectionReportPath,
+};
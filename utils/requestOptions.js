@@ -0,0 +1,103 @@
+const importConfig = require("../config/import");
+const { REQUIRED_FIELDS } = require("./validateRecord");
+const { ROW_STEPS } = require("./processCsvRow");
+
+// Campos de formulário chegam como texto: "true", "1", "sim" etc.
+function parseBoolean(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+
+  return ["true", "1", "yes", "sim", "on"].includes(
+    String(value ?? "")
+      .trim()
+      .toLowerCase()
+  );
+}
+
+// Retorna null se ausente e undefined se fora do intervalo permitido
+function resolveBatchSize(value, max = importConfig.maxBatchSize) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const size = Number(value);
+  return Number.isInteger(size) && size > 0 && size <= max ? size : undefined;
+}
+
+// Linha do cabeçalho no arquivo, a partir de 1
+function resolveHeaderRow(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const row = Number(value);
+  return Number.isInteger(row) && row > 0 ? row : undefined;
+}
+
+function resolveImportMode(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const mode = String(value).trim().toLowerCase();
+  return Object.values(importConfig.IMPORT_MODES).includes(mode)
+    ? mode
+    : undefined;
+}
+
+// Lista de atributos de Person, como naturalKey e dedupKey:
+// aceita "email" ou uma chave composta como "name,email"
+function resolveFieldList(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const fields = String(value)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  return fields.length > 0 && fields.every((f) => REQUIRED_FIELDS.includes(f))
+    ? fields
+    : undefined;
+}
+
+// Passos do pipeline de linhas habilitados na importação: "normalize,dedupe"
+function resolveRowSteps(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const steps = String(value)
+    .split(",")
+    .map((step) => step.trim())
+    .filter(Boolean);
+
+  return steps.every((step) => ROW_STEPS.has(step)) ? steps : undefined;
+}
+
+// Ids da rota são conferidos antes da consulta: no PostgreSQL um valor fora
+// do formato da coluna vira erro do banco (500) em vez de "não encontrado"
+const MAX_INTEGER_ID = 2147483647;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isIntegerId(value) {
+  return /^[1-9]\d*$/.test(String(value)) && Number(value) <= MAX_INTEGER_ID;
+}
+
+function isUuid(value) {
+  return UUID_PATTERN.test(String(value));
+}
+
+module.exports = {
+  isIntegerId,
+  isUuid,
+  parseBoolean,
+  resolveBatchSize,
+  resolveFieldList,
+  resolveHeaderRow,
+  resolveImportMode,
+  resolveRowSteps,
+};
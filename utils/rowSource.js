@@ -0,0 +1,12 @@
+// Marcas que os leitores de entrada (planilha, JSON) podem pôr em cada linha.
+// Chaves Symbol não aparecem em Object.entries, então não viram coluna no
+// pipeline de linhas nem no relatório de rejeitados.
+
+// Linha (ou posição) de onde veio o registro, quando não é a contagem simples
+const SOURCE_LINE = Symbol("sourceLine");
+
+// Motivo, no formato { reason, field }, de uma linha que o leitor não
+// conseguiu interpretar; ela é recusada sem passar pelo pipeline
+const ROW_REJECTION = Symbol("rowRejection");
+
+module.exports = { ROW_REJECTION, SOURCE_LINE };
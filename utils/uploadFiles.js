@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const uploadConfig = require("../config/uploads");
+const { statusOf } = require("./errors");
+
+// Ignora arquivos que já foram removidos por outro caminho
+async function ignoreMissing(operation) {
+  try {
+    await operation();
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+}
+
+// Só falhas do servidor (status >= 500) mandam o arquivo para a quarentena.
+// Arquivos recusados por validação ou limites, como NO_VALID_ROWS e
+// TOO_MANY_ROWS, são apagados, no upload síncrono e nos jobs.
+function isServerFailure(error) {
+  return statusOf(error) >= 500;
+}
+
+/**
+ * Descarta o arquivo temporário de um upload. Arquivos de importações que
+ * falharam vão para a quarentena quando ela está ligada; os demais são apagados.
+ */
+async function discardUpload(
+  filePath,
+  { failed = false, config = uploadConfig } = {}
+) {
+  if (!filePath) {
+    return;
+  }
+
+  if (failed && config.quarantine) {
+    await fs.promises.mkdir(config.quarantineDir, { recursive: true });
+    await ignoreMissing(() =>
+      fs.promises.rename(
+        filePath,
+        path.join(config.quarantineDir, path.basename(filePath))
+      )
+    );
+    return;
+  }
+
+  await ignoreMissing(() => fs.promises.unlink(filePath));
+}
+
+/**
+ * Apaga os arquivos de `dir` modificados há mais de `olderThanMs`.
+ * Subpastas (como a quarentena) e os caminhos em `keep` são preservados.
+ * Retorna os caminhos apagados.
+ */
+async function removeStaleFiles(
+  dir,
+  { olderThanMs, keep = new Set(), now = Date.now() }
+) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return [];
+    }
+    throw err;
+  }
+
+  const keepResolved = new Set([...keep].map((file) => path.resolve(file)));
+  const removed = [];
+
+  for (const entry of entries) {
+    const filePath = path.join(dir, entry.name);
+    if (!entry.isFile() || keepResolved.has(path.resolve(filePath))) {
+      continue;
+    }
+
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (now - mtimeMs > olderThanMs) {
+      await ignoreMissing(() => fs.promises.unlink(filePath));
+      removed.push(filePath);
+    }
+  }
+
+  return removed;
+}
+
+module.exports = { discardUpload, isServerFailure, removeStaleFiles };
@@ -0,0 +1,33 @@
+const path = require("path");
+const uploadConfig = require("../config/uploads");
+const { PayloadError } = require("./errors");
+
+function isAllowedFile({ originalname, mimetype }, config = uploadConfig) {
+  const extension = path.extname(originalname || "").toLowerCase();
+
+  return (
+    config.allowedExtensions.includes(extension) &&
+    config.allowedMimeTypes.includes(String(mimetype).toLowerCase())
+  );
+}
+
+// fileFilter do Multer: recusa o arquivo antes de gravá-lo em disco
+function fileFilter(req, file, cb) {
+  if (isAllowedFile(file)) {
+    return cb(null, true);
+  }
+
+  cb(
+    new PayloadError(415, "UNSUPPORTED_FILE_TYPE", {
+      params: { extensions: uploadConfig.allowedExtensions.join(", ") },
+      details: { fileName: file.originalname, mimetype: file.mimetype },
+    })
+  );
+}
+
+// Bytes nulos não aparecem em texto, a não ser em UTF-16
+function looksBinary(sample, { encoding }) {
+  return !encoding.startsWith("utf-16") && sample.includes(0);
+}
+
+module.exports = { fileFilter, isAllowedFile, looksBinary };
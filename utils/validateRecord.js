@@ -0,0 +1,113 @@
+const { Validator } = require("sequelize");
+const personConfig = require("../config/person");
+
+// Códigos estáveis usados no relatório de linhas rejeitadas
+const REJECTION_REASONS = {
+  MISSING_FIELD: "MISSING_FIELD",
+  DUPLICATE_IN_FILE: "DUPLICATE_IN_FILE",
+  INVALID_EMAIL: "INVALID_EMAIL",
+  INVALID_AGE: "INVALID_AGE",
+  AGE_OUT_OF_RANGE: "AGE_OUT_OF_RANGE",
+  INVALID_FIELD: "INVALID_FIELD",
+  MALFORMED_ROW: "MALFORMED_ROW", // Item de JSON/NDJSON que não é um objeto
+  ALREADY_EXISTS: "ALREADY_EXISTS", // Pessoa já cadastrada (modo insert-only)
+  FIELD_TOO_LONG: "FIELD_TOO_LONG", // Valor acima de maxFieldLength (JSON/NDJSON)
+};
+
+// Atributo do modelo -> código usado quando o validador do Sequelize falha
+const REASON_BY_FIELD = {
+  email: REJECTION_REASONS.INVALID_EMAIL,
+  age: REJECTION_REASONS.INVALID_AGE,
+};
+
+const REQUIRED_FIELDS = ["name", "age", "email"];
+
+// "19" e "+19" viram 19; "19.5", "1e2" e "dezenove" retornam null
+function parseAge(value) {
+  if (Number.isInteger(value)) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  return /^[+-]?\d+$/.test(text) ? Number(text) : null;
+}
+
+function ageOutOfRange(age, { min, max } = personConfig.age) {
+  return age < min || age > max
+    ? { reason: REJECTION_REASONS.AGE_OUT_OF_RANGE, field: "age", min, max }
+    : null;
+}
+
+/**
+ * Verifica um registro já normalizado.
+ * Retorna null quando é válido ou { reason, field } com o primeiro problema;
+ * motivos com limites trazem também os valores (ex.: min e max da idade).
+ * `age` troca a faixa de idade da configuração (ex.: a de um perfil).
+ */
+function validateRecord(record, { age: ageRange = personConfig.age } = {}) {
+  // A idade já pode ter sido convertida, e 0 é um valor válido
+  const missing = REQUIRED_FIELDS.find((field) =>
+    [undefined, null, ""].includes(record[field])
+  );
+  if (missing) {
+    return { reason: REJECTION_REASONS.MISSING_FIELD, field: missing };
+  }
+
+  const age = parseAge(record.age);
+  if (age === null) {
+    return { reason: REJECTION_REASONS.INVALID_AGE, field: "age" };
+  }
+
+  const outOfRange = ageOutOfRange(age, ageRange);
+  if (outOfRange) {
+    return outOfRange;
+  }
+
+  // Mesmo validador usado pelo `isEmail` do modelo Person
+  if (!Validator.isEmail(record.email)) {
+    return { reason: REJECTION_REASONS.INVALID_EMAIL, field: "email" };
+  }
+
+  return null;
+}
+
+// Motivo de um item do ValidationError do Sequelize: { field, reason }
+function reasonFromValidationItem(item) {
+  if (item.type === "notNull Violation") {
+    return { field: item.path, reason: REJECTION_REASONS.MISSING_FIELD };
+  }
+
+  if (item.path === "age" && ["min", "max"].includes(item.validatorKey)) {
+    return {
+      field: "age",
+      reason: REJECTION_REASONS.AGE_OUT_OF_RANGE,
+      ...personConfig.age,
+    };
+  }
+
+  return {
+    field: item.path,
+    reason: REASON_BY_FIELD[item.path] || REJECTION_REASONS.INVALID_FIELD,
+  };
+}
+
+/**
+ * Traduz um ValidationError do Sequelize para o formato do relatório.
+ */
+function reasonFromValidationError(error) {
+  const [item] = error.errors || [];
+  if (!item) {
+    return { reason: REJECTION_REASONS.INVALID_FIELD };
+  }
+
+  return reasonFromValidationItem(item);
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  REQUIRED_FIELDS,
+  parseAge,
+  reasonFromValidationError,
+  reasonFromValidationItem,
+  validateRecord,
+};
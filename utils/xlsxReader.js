@@ -0,0 +1,146 @@
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { PayloadError, ValidationError } = require("./errors");
+const { SOURCE_LINE } = require("./rowSource");
+
+// Arquivos .xlsx são pacotes zip: começam com "PK\x03\x04"
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+function isXlsx(sample) {
+  return sample.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE);
+}
+
+// "2005-03-04" para datas sem hora; com hora, o ISO completo em UTC
+function formatDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * Converte o valor de uma célula do ExcelJS para o texto que o CSV traria.
+ * Números viram "19" (sem ".0"), fórmulas usam o resultado calculado,
+ * hiperlinks (comuns em e-mails) o texto exibido e erros como #N/A o próprio
+ * código, que a validação recusa.
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return formatDate(value);
+  }
+
+  if (typeof value === "object") {
+    if (value.richText) {
+      return value.richText.map(({ text }) => text).join("");
+    }
+
+    if ("result" in value) {
+      return cellToString(value.result);
+    }
+
+    if ("text" in value) {
+      return cellToString(value.text);
+    }
+
+    if ("error" in value) {
+      return value.error;
+    }
+
+    return ""; // Fórmula ainda não calculada
+  }
+
+  return String(value);
+}
+
+// Planilha pelo nome ou pela posição (a primeira é 1)
+function findWorksheet(workbook, sheet) {
+  const { worksheets } = workbook;
+
+  if (sheet === null || sheet === undefined) {
+    return worksheets[0];
+  }
+
+  const byName = worksheets.find(
+    ({ name }) => name.trim().toLowerCase() === String(sheet).toLowerCase()
+  );
+  if (byName) {
+    return byName;
+  }
+
+  return /^\d+$/.test(sheet) ? worksheets[Number(sheet) - 1] : undefined;
+}
+
+/**
+ * Lê a planilha e entrega as linhas como o csv-parser: um stream de objetos
+ * { cabeçalho: texto } que emite "headers" antes da primeira linha. Emite
+ * também "sheet" com { name, index, headerRow }.
+ *
+ * `headerRow` é a linha do cabeçalho (a primeira é 1); as anteriores são
+ * ignoradas, assim como as linhas em branco. Cada linha traz em SOURCE_LINE
+ * o número da linha na planilha. O arquivo é carregado inteiro, o que o
+ * limite de tamanho do upload mantém sob controle.
+ */
+function createXlsxParser(filePath, { sheet = null, headerRow = 1 } = {}) {
+  const stream = Readable.from(readRows(), { objectMode: true });
+
+  async function* readRows() {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.readFile(filePath);
+    } catch (error) {
+      throw new PayloadError(422, "INVALID_WORKBOOK", { cause: error });
+    }
+
+    const worksheet = findWorksheet(workbook, sheet);
+    if (!worksheet) {
+      const sheets = workbook.worksheets.map(({ name }) => name);
+      throw new ValidationError("SHEET_NOT_FOUND", {
+        params: { sheet, sheets: sheets.join(", ") },
+        details: { sheet, sheets },
+      });
+    }
+
+    const readCells = (number, count) =>
+      Array.from({ length: count }, (_, index) =>
+        cellToString(worksheet.getRow(number).getCell(index + 1).value)
+      );
+
+    const headerCount = worksheet.getRow(headerRow).cellCount;
+    const headers = readCells(headerRow, headerCount).map((h) => h.trim());
+
+    stream.emit("sheet", {
+      name: worksheet.name,
+      index: workbook.worksheets.indexOf(worksheet) + 1,
+      headerRow,
+    });
+    stream.emit("headers", headers.filter(Boolean));
+
+    for (let number = headerRow + 1; number <= worksheet.rowCount; number++) {
+      const values = readCells(number, headers.length);
+      if (values.every((value) => value.trim() === "")) {
+        continue;
+      }
+
+      const row = {};
+      headers.forEach((header, index) => {
+        if (header) {
+          row[header] = values[index];
+        }
+      });
+      row[SOURCE_LINE] = number;
+
+      yield row;
+    }
+  }
+
+  return stream;
+}
+
+module.exports = {
+  cellToString,
+  createXlsxParser,
+  findWorksheet,
+  isXlsx,
+};